@@ -0,0 +1,209 @@
+import express, { Router } from "express";
+import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import { Attachment } from "../databaseSchema/database.model.js";
+import { getAttachmentStorage } from "../Utils/attachmentStorage.js";
+import {
+  ALLOWED_MIME_TYPES,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENTS_PER_RECORD,
+  detectMimeType,
+  removeAttachments,
+  saveAttachment,
+} from "../Utils/attachments.js";
+
+// Attachment routes for the records of one model, mounted by its controller at
+// /:id/attachments. Uploads send the file itself as the request body with its
+// Content-Type, and the file name in an X-File-Name header (URL-encoded).
+//   ownerType - "income", "expense" or "loan"
+//   model     - the records' model
+//   label     - record name used in messages, e.g. "Expense"
+const createAttachmentRouter = ({ ownerType, model, label }) => {
+  const router = Router({ mergeParams: true });
+
+  const uploadParser = express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES });
+
+  // Helper: Read the upload into req.body, answering oversized ones with a JSON error
+  const readUpload = (req, res, next) =>
+    uploadParser(req, res, (error) => {
+      if (error?.type === "entity.too.large") {
+        return res.status(413).json({
+          message: `Attachments can be at most ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`,
+        });
+      }
+      next(error);
+    });
+
+  // Helper: The record from the URL within the request's scope
+  const findOwner = (req) => model.findOne({ _id: req.params.id, ...req.scope.filter });
+
+  // Helper: Attachment fields returned to clients
+  const formatAttachment = (attachment) => ({
+    _id: attachment._id,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    checksum: attachment.checksum,
+    image: attachment.image,
+    thumbnail: attachment.thumbnail,
+    uploadedBy: attachment.userId,
+    createdAt: attachment.createdAt,
+    downloadUrl: `/api/${ownerType}/${attachment.ownerId}/attachments/${attachment._id}`,
+  });
+
+  // Helper: Answer CastErrors for either ID in the URL
+  const handleError = (res, context, error) => {
+    console.error(`${context} Error:`, error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: `Invalid ${label.toLowerCase()} or attachment ID` });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  };
+
+  // Upload an attachment
+  router.post("/", authMiddleware, householdScope("editor"), readUpload, async (req, res) => {
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!data.length) {
+      return res.status(400).json({ message: "The file must be sent as the request body" });
+    }
+
+    // The content decides the type, a declared type must agree with it
+    const mimeType = detectMimeType(data);
+    const declaredType = req.get("Content-Type")?.split(";")[0].trim().toLowerCase();
+    if (
+      !mimeType ||
+      (declaredType && declaredType !== "application/octet-stream" && declaredType !== mimeType)
+    ) {
+      return res.status(415).json({
+        message: `Attachments must be one of: ${ALLOWED_MIME_TYPES.join(", ")}`,
+      });
+    }
+
+    let fileName = req.get("X-File-Name") || req.query.fileName;
+    try {
+      fileName = decodeURIComponent(fileName || "");
+    } catch (error) {
+      return res.status(400).json({ message: "X-File-Name must be URL-encoded" });
+    }
+
+    try {
+      const owner = await findOwner(req);
+      if (!owner) {
+        return res.status(404).json({ message: `${label} not found or not authorized` });
+      }
+
+      const count = await Attachment.countDocuments({ ownerType, ownerId: owner._id });
+      if (count >= ATTACHMENTS_PER_RECORD) {
+        return res.status(409).json({
+          message: `A ${label.toLowerCase()} can have at most ${ATTACHMENTS_PER_RECORD} attachments`,
+        });
+      }
+
+      const attachment = await saveAttachment({
+        ownerType,
+        owner,
+        userId: req.scope.userId,
+        fileName,
+        mimeType,
+        data,
+      });
+      res.status(201).json({
+        message: "Attachment uploaded successfully",
+        attachment: formatAttachment(attachment),
+      });
+    } catch (error) {
+      handleError(res, "Upload Attachment", error);
+    }
+  });
+
+  // List a record's attachments
+  router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
+    try {
+      const owner = await findOwner(req);
+      if (!owner) {
+        return res.status(404).json({ message: `${label} not found or not authorized` });
+      }
+
+      const attachments = await Attachment.find({ ownerType, ownerId: owner._id }).sort({
+        createdAt: 1,
+      });
+      res.json({ attachments: attachments.map(formatAttachment) });
+    } catch (error) {
+      handleError(res, "Get Attachments", error);
+    }
+  });
+
+  // Download an attachment (inline=true to display it instead of saving it)
+  router.get("/:attachmentId", authMiddleware, householdScope("viewer"), async (req, res) => {
+    try {
+      const owner = await findOwner(req);
+      const attachment =
+        owner &&
+        (await Attachment.findOne({
+          _id: req.params.attachmentId,
+          ownerType,
+          ownerId: owner._id,
+        }));
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found or not authorized" });
+      }
+
+      res.attachment(attachment.fileName);
+      if (req.query.inline === "true") {
+        res.set(
+          "Content-Disposition",
+          res.get("Content-Disposition").replace(/^attachment/, "inline")
+        );
+      }
+      res.set({
+        "Content-Type": attachment.mimeType,
+        "Content-Length": attachment.size,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, no-store",
+      });
+
+      const stream = getAttachmentStorage().createReadStream(attachment.storageKey);
+      stream.on("error", (error) => {
+        console.error("Download Attachment Error:", error);
+        if (res.headersSent) {
+          return res.destroy(error);
+        }
+        res.removeHeader("Content-Disposition");
+        res.removeHeader("Content-Length");
+        res.status(404).json({ message: "Attachment file is missing" });
+      });
+      stream.pipe(res);
+    } catch (error) {
+      handleError(res, "Download Attachment", error);
+    }
+  });
+
+  // Delete an attachment
+  router.delete("/:attachmentId", authMiddleware, householdScope("editor"), async (req, res) => {
+    try {
+      const owner = await findOwner(req);
+      const attachment =
+        owner &&
+        (await Attachment.findOne({
+          _id: req.params.attachmentId,
+          ownerType,
+          ownerId: owner._id,
+        }));
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found or not authorized" });
+      }
+
+      await removeAttachments([attachment]);
+      res.json({
+        message: "Attachment deleted successfully",
+        attachment: formatAttachment(attachment),
+      });
+    } catch (error) {
+      handleError(res, "Delete Attachment", error);
+    }
+  });
+
+  return router;
+};
+
+export default createAttachmentRouter;
@@ -3,34 +3,59 @@ import { check, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import cron from "node-cron";
 import authMiddleware from "../Middleware/auth.js";
-import { Budget, Category, Expense, Notification } from "../databaseSchema/database.model.js";
+import householdScope from "../Middleware/householdScope.js";
+import { getBudgetSpent, syncBudgetOverrun } from "../Utils/budget.js";
+import { Budget, Category, Expense } from "../databaseSchema/database.model.js";
+import { CRON_TIMEZONE } from "../cron.js";
+import {
+  createPreferencesLoader,
+  getPeriodRange,
+  getUserPreferences,
+} from "../Utils/preferences.js";
 
 const router = Router();
 
+// Helper: Weekly/monthly budgets may omit dates, they then cover the user's current week or month
+const usesCurrentPeriod = (req) =>
+  ["weekly", "monthly"].includes(req.body.repeatable) &&
+  !req.body.startDate &&
+  !req.body.endDate;
+
 // Input validation for creating/updating a budget
 const budgetValidation = [
   check("categoryId")
     .notEmpty()
     .withMessage("Category ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
     .custom(async (value, { req }) => {
-      try {
-        const category = await Category.findOne({
-          _id: value,
-          userId: req.user.userId,
-          type: "expense",
-        });
-        if (!category) {
-          throw new Error("Invalid expense category");
-        }
-        return true;
-      } catch (error) {
-        throw new Error("Invalid category ID");
+      const category = await Category.findOne({
+        _id: value,
+        ...req.scope.filter,
+        type: "expense",
+      });
+      if (!category) {
+        throw new Error("Invalid expense category");
+      }
+      if (category.archived) {
+        throw new Error("Archived categories cannot be used for new budgets");
       }
+      return true;
     }),
   check("budgetName").notEmpty().withMessage("Budget name is required"),
   check("amount").isFloat({ min: 0 }).withMessage("Amount must be a positive number"),
-  check("startDate").isDate().withMessage("Valid start date is required"),
+  check("repeatable")
+    .optional()
+    .isIn(["none", "weekly", "monthly"])
+    .withMessage("Repeatable must be none, weekly or monthly"),
+  check("startDate")
+    .if((value, { req }) => !usesCurrentPeriod(req))
+    .isDate()
+    .withMessage("Valid start date is required"),
   check("endDate")
+    .if((value, { req }) => !usesCurrentPeriod(req))
     .isDate()
     .withMessage("Valid end date is required")
     .custom((value, { req }) => {
@@ -58,20 +83,28 @@ const budgetUpdateValidation = [
 ];
 
 // Create a new budget
-router.post("/", authMiddleware, budgetValidation, async (req, res) => {
+router.post("/", authMiddleware, householdScope("editor"), budgetValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { categoryId, budgetName, amount, startDate, endDate, notes } = req.body;
+  const { categoryId, budgetName, amount, notes, repeatable = "none" } = req.body;
+  let { startDate, endDate } = req.body;
 
   try {
     const userId = new mongoose.Types.ObjectId(req.user.userId);
 
+    if (usesCurrentPeriod(req)) {
+      const preferences = await getUserPreferences(userId);
+      const range = getPeriodRange(repeatable === "weekly" ? "week" : "month", preferences);
+      startDate = range.start;
+      endDate = range.end;
+    }
+
     // Prevent overlapping budgets
     const existingBudget = await Budget.findOne({
-      userId,
+      ...req.scope.filter,
       categoryId,
       $or: [
         { startDate: { $lte: new Date(endDate) }, endDate: { $gte: new Date(startDate) } },
@@ -84,11 +117,13 @@ router.post("/", authMiddleware, budgetValidation, async (req, res) => {
 
     const budget = new Budget({
       userId,
+      householdId: req.scope.householdId,
       categoryId,
       budgetName,
       amount,
       startDate,
       endDate,
+      repeatable,
       notes,
     });
     await budget.save();
@@ -100,10 +135,9 @@ router.post("/", authMiddleware, budgetValidation, async (req, res) => {
 });
 
 // Get user's budgets with spending details
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
   const { startDate, endDate, categoryId } = req.query;
-  const userId = new mongoose.Types.ObjectId(req.user.userId);
-  const query = { userId };
+  const query = { ...req.scope.filter };
 
   if (startDate || endDate) {
     query.startDate = {};
@@ -127,19 +161,10 @@ router.get("/", authMiddleware, async (req, res) => {
       .populate("categoryId", "name type")
       .sort({ startDate: -1 });
 
-    // Calculate spent amount for each budget
+    // Calculate spent amount for each budget, including its category's subcategories
     const budgetsWithSpending = await Promise.all(
       budgets.map(async (budget) => {
-        const expenseQuery = {
-          userId,
-          categoryId: budget.categoryId._id,
-          date: { $gte: budget.startDate, $lte: budget.endDate },
-        };
-        const expenseResult = await Expense.aggregate([
-          { $match: expenseQuery },
-          { $group: { _id: null, spent: { $sum: "$amount" } } },
-        ]);
-        const spent = expenseResult[0]?.spent || 0;
+        const spent = await getBudgetSpent(budget);
         return {
           ...budget.toObject(),
           spent,
@@ -157,7 +182,7 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Update a budget
-router.put("/:id", authMiddleware, budgetUpdateValidation, async (req, res) => {
+router.put("/:id", authMiddleware, householdScope("editor"), budgetUpdateValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -167,8 +192,7 @@ router.put("/:id", authMiddleware, budgetUpdateValidation, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    let budget = await Budget.findOne({ _id: id, userId });
+    let budget = await Budget.findOne({ _id: id, ...req.scope.filter });
 
     if (!budget) {
       return res.status(404).json({ message: "Budget not found or not authorized" });
@@ -193,12 +217,11 @@ router.put("/:id", authMiddleware, budgetUpdateValidation, async (req, res) => {
 });
 
 // Delete a budget
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    const budget = await Budget.findOneAndDelete({ _id: id, userId });
+    const budget = await Budget.findOneAndDelete({ _id: id, ...req.scope.filter });
 
     if (!budget) {
       return res.status(404).json({ message: "Budget not found or not authorized" });
@@ -215,11 +238,10 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 });
 
 // Get total budget and spent for dashboard
-router.get("/total", authMiddleware, async (req, res) => {
+router.get("/total", authMiddleware, householdScope("viewer"), async (req, res) => {
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
     const { startDate, endDate } = req.query;
-    const query = { userId };
+    const query = { ...req.scope.filter };
     if (startDate && endDate) {
       query.startDate = { $gte: new Date(startDate), $lte: new Date(endDate) };
     }
@@ -236,7 +258,7 @@ router.get("/total", authMiddleware, async (req, res) => {
     const expenseResult = await Expense.aggregate([
       {
         $match: {
-          userId,
+          ...req.scope.filter,
           date: { $gte: new Date(startDate), $lte: new Date(endDate) },
         },
       },
@@ -253,32 +275,18 @@ router.get("/total", authMiddleware, async (req, res) => {
 // CRON job for budget overrun notifications (runs daily at midnight)
 cron.schedule("0 0 * * *", async () => {
   try {
+    const loadPreferences = createPreferencesLoader();
     const budgets = await Budget.find({
       endDate: { $gte: new Date() },
     }).populate("categoryId");
+    // Every member of a household budget is told, each once while unread
     for (const budget of budgets) {
-      const expenseQuery = {
-        userId: budget.userId,
-        categoryId: budget.categoryId._id,
-        date: { $gte: budget.startDate, $lte: budget.endDate },
-      };
-      const expenseResult = await Expense.aggregate([
-        { $match: expenseQuery },
-        { $group: { _id: null, spent: { $sum: "$amount" } } },
-      ]);
-      const spent = expenseResult[0]?.spent || 0;
-      if (spent > budget.amount) {
-        await Notification.create({
-          userId: budget.userId,
-          type: "budget_overrun",
-          message: `Budget "${budget.budgetName}" exceeded: Spent Rs${spent} of Rs${budget.amount}`,
-        });
-      }
+      await syncBudgetOverrun(budget, loadPreferences);
     }
     console.log("Budget overrun notifications checked");
   } catch (error) {
     console.error("Budget Notification Cron Error:", error);
   }
-});
+}, { timezone: CRON_TIMEZONE });
 
 export default router;
\ No newline at end of file
@@ -1,43 +1,150 @@
 import { Router } from "express";
 import { check, validationResult } from "express-validator";
 import { Category } from "../databaseSchema/database.model.js";
-import mongoose from "mongoose";
 import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import {
+  BUDGET_CONFLICT_STRATEGIES,
+  buildCategoryTree,
+  countCategoryUsage,
+  getAncestorIds,
+  reassignCategory,
+  validateCategoryParent,
+} from "../Utils/category.js";
+import {
+  CATEGORY_TEMPLATES,
+  CATEGORY_TEMPLATE_NAMES,
+  applyCategoryTemplate,
+} from "../Utils/categoryTemplates.js";
 
 const router = Router();
 
+// Display fields shared by create and update
+const categoryMetadataValidation = [
+  check("icon")
+    .optional({ values: "null" })
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage("Icon must be an icon key of lowercase letters, digits, - or _"),
+  check("color")
+    .optional({ values: "null" })
+    .isHexColor()
+    .withMessage("Color must be a hex colour such as #2E7D32"),
+  check("sortOrder")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Sort order must be a non-negative integer"),
+];
+
 // Input validation for adding a category
 const categoryValidation = [
+  ...categoryMetadataValidation,
   check("name").notEmpty().withMessage("Category name is required").trim(),
   check("type")
     .isIn(["income", "expense"])
     .withMessage("Type must be income or expense"),
+  check("parentId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid parent category ID"),
+];
+
+const categoryUpdateValidation = [
+  ...categoryMetadataValidation,
+  check("archived").optional().isBoolean().withMessage("Archived must be a boolean"),
+  check("name").optional().trim().notEmpty().withMessage("Category name cannot be empty"),
+  check("type")
+    .optional()
+    .isIn(["income", "expense"])
+    .withMessage("Type must be income or expense"),
+  check("parentId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid parent category ID"),
+];
+
+const categoryMergeValidation = [
+  check("sourceIds")
+    .isArray({ min: 1 })
+    .withMessage("At least one source category is required"),
+  check("sourceIds.*").isMongoId().withMessage("Invalid source category ID"),
+  check("targetId")
+    .isMongoId()
+    .withMessage("Valid target category ID is required")
+    .custom((value, { req }) => {
+      if ((req.body.sourceIds || []).includes(value)) {
+        throw new Error("Target category cannot also be a source");
+      }
+      return true;
+    }),
+  check("budgetConflict")
+    .optional()
+    .isIn(BUDGET_CONFLICT_STRATEGIES)
+    .withMessage(`Budget conflict must be one of: ${BUDGET_CONFLICT_STRATEGIES.join(", ")}`),
+];
+
+const reorderValidation = [
+  check("order")
+    .isArray({ min: 1 })
+    .withMessage("Order must be a non-empty list of category IDs"),
+  check("order.*").isMongoId().withMessage("Invalid category ID"),
+];
+
+const applyTemplateValidation = [
+  check("template")
+    .isIn(CATEGORY_TEMPLATE_NAMES)
+    .withMessage(`Template must be one of: ${CATEGORY_TEMPLATE_NAMES.join(", ")}`),
 ];
 
 // Add a new category
-router.post("/", authMiddleware, categoryValidation, async (req, res) => {
+router.post("/", authMiddleware, householdScope("editor"), categoryValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, type } = req.body;
+  const { name, type, parentId = null, icon = null, color = null } = req.body;
+  let { sortOrder } = req.body;
 
   try {
-    // Check if category already exists for user
+    if (parentId) {
+      const parentError = await validateCategoryParent({
+        parentId,
+        type,
+        filter: req.scope.filter,
+      });
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    // Check if category already exists for user (or household) under the same parent
     const existingCategory = await Category.findOne({
-      userId: req.user.userId,
+      ...req.scope.filter,
       name,
       type,
+      parentId,
     });
     if (existingCategory) {
       return res.status(400).json({ message: "Category already exists" });
     }
 
+    // New categories go after their siblings unless an order is given
+    if (sortOrder === undefined) {
+      const last = await Category.findOne({ ...req.scope.filter, type, parentId })
+        .sort({ sortOrder: -1 })
+        .select("sortOrder");
+      sortOrder = last ? last.sortOrder + 1 : 0;
+    }
+
     const category = new Category({
-      userId: req.user.userId,
+      userId: req.scope.userId,
+      householdId: req.scope.householdId,
       name,
       type,
+      parentId,
+      icon,
+      color,
+      sortOrder,
     });
     await category.save();
     res.status(201).json({ message: "Category added successfully", category });
@@ -46,20 +153,298 @@ router.post("/", authMiddleware, categoryValidation, async (req, res) => {
   }
 });
 
-// Get user's categories
-router.get("/", authMiddleware, async (req, res) => {
-  const { type } = req.query;
-  const userId = new mongoose.Types.ObjectId(req.user.userId); // Convert to ObjectId
-  const query = { userId };
+// Get user's categories - Archived categories are left out unless includeArchived=true
+router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
+  const { type, includeArchived } = req.query;
+  const query = { ...req.scope.filter };
 
   if (type) {
     query.type = type;
   }
+  if (includeArchived !== "true") {
+    query.archived = { $ne: true };
+  }
+
+  try {
+    const categories = await Category.find(query).sort({ sortOrder: 1, name: 1 });
+    res.json({ categories, tree: buildCategoryTree(categories) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Reorder categories - sortOrder follows the position of each ID in the list
+router.put("/reorder", authMiddleware, householdScope("editor"), reorderValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const order = [...new Set(req.body.order)];
 
   try {
-    const categories = await Category.find(query).sort({ name: 1 });
-    res.json({ categories });
+    const count = await Category.countDocuments({ _id: { $in: order }, ...req.scope.filter });
+    if (count !== order.length) {
+      return res.status(404).json({ message: "Category not found or not authorized" });
+    }
+
+    await Category.bulkWrite(
+      order.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, ...req.scope.filter },
+          update: { $set: { sortOrder: index } },
+        },
+      }))
+    );
+
+    const categories = await Category.find({ _id: { $in: order } }).sort({ sortOrder: 1 });
+    res.json({ message: "Categories reordered successfully", categories });
   } catch (error) {
+    console.error("Reorder Categories Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// List the available category templates
+router.get("/templates", authMiddleware, (req, res) => {
+  res.json({
+    templates: CATEGORY_TEMPLATE_NAMES.map((name) => ({
+      name,
+      categories: CATEGORY_TEMPLATES[name],
+    })),
+  });
+});
+
+// Apply a category template - Categories that already exist are not duplicated
+router.post(
+  "/apply-template",
+  authMiddleware,
+  householdScope("editor"),
+  applyTemplateValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const categories = await applyCategoryTemplate(CATEGORY_TEMPLATES[req.body.template], {
+        userId: req.scope.userId,
+        householdId: req.scope.householdId,
+      });
+      res.status(201).json({
+        message: categories.length
+          ? `${categories.length} categories added from the ${req.body.template} template`
+          : "All categories from this template already exist",
+        categories,
+      });
+    } catch (error) {
+      console.error("Apply Category Template Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Merge categories - Moves every income, expense and budget of the sources onto the target
+router.post(
+  "/merge",
+  authMiddleware,
+  householdScope("editor"),
+  categoryMergeValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetId, budgetConflict = "sum" } = req.body;
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    try {
+      const target = await Category.findOne({ _id: targetId, ...req.scope.filter });
+      if (!target) {
+        return res.status(404).json({ message: "Target category not found or not authorized" });
+      }
+
+      const sources = await Category.find({ _id: { $in: sourceIds }, ...req.scope.filter });
+      if (sources.length !== sourceIds.length) {
+        return res.status(404).json({ message: "Source category not found or not authorized" });
+      }
+      if (sources.some((source) => source.type !== target.type)) {
+        return res
+          .status(400)
+          .json({ message: "Only categories of the same type can be merged" });
+      }
+
+      const ids = sources.map((source) => source._id);
+      const targetAncestorIds = await getAncestorIds(target._id);
+      if (targetAncestorIds.some((id) => ids.some((sourceId) => sourceId.equals(id)))) {
+        return res
+          .status(400)
+          .json({ message: "Cannot merge a category into one of its own subcategories" });
+      }
+
+      // Subcategories of the sources move under the target, which must stay within the depth limit
+      const children = await Category.find({ parentId: { $in: ids } });
+      for (const child of children) {
+        const parentError = await validateCategoryParent({
+          parentId: target._id,
+          type: target.type,
+          filter: req.scope.filter,
+          categoryId: child._id,
+        });
+        if (parentError) {
+          return res.status(400).json({ message: parentError });
+        }
+      }
+
+      const moved = await reassignCategory(ids, target, { budgetConflict });
+      await Category.updateMany({ parentId: { $in: ids } }, { $set: { parentId: target._id } });
+      await Category.deleteMany({ _id: { $in: ids } });
+
+      res.json({ message: "Categories merged successfully", category: target, moved });
+    } catch (error) {
+      console.error("Merge Categories Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Update a category
+router.put("/:id", authMiddleware, householdScope("editor"), categoryUpdateValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, type, parentId, icon, color, sortOrder, archived } = req.body;
+  const { id } = req.params;
+
+  try {
+    const category = await Category.findOne({ _id: id, ...req.scope.filter });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found or not authorized" });
+    }
+
+    // Transactions, budgets and subcategories must keep matching their category's type
+    if (type && type !== category.type) {
+      const usage = await countCategoryUsage([category._id]);
+      if (usage.total > 0) {
+        return res.status(400).json({
+          message: "Cannot change the type of a category that is in use",
+          usage,
+        });
+      }
+      if (await Category.exists({ parentId: category._id })) {
+        return res
+          .status(400)
+          .json({ message: "Cannot change the type of a category that has subcategories" });
+      }
+    }
+
+    const newName = name ?? category.name;
+    const newType = type ?? category.type;
+    // parentId: null moves the category to the top level, leaving it out keeps the parent
+    const newParentId = parentId === undefined ? category.parentId : parentId;
+
+    if (newParentId) {
+      const parentError = await validateCategoryParent({
+        parentId: newParentId,
+        type: newType,
+        filter: req.scope.filter,
+        categoryId: category._id,
+      });
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const duplicate = await Category.findOne({
+      ...req.scope.filter,
+      _id: { $ne: category._id },
+      name: newName,
+      type: newType,
+      parentId: newParentId,
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: "Category already exists" });
+    }
+
+    category.name = newName;
+    category.type = newType;
+    category.parentId = newParentId;
+    if (icon !== undefined) category.icon = icon;
+    if (color !== undefined) category.color = color;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (archived !== undefined) category.archived = archived === true || archived === "true";
+    await category.save();
+    res.json({ message: "Category updated successfully", category });
+  } catch (error) {
+    console.error("Update Category Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Delete a category - Categories in use need a reassignTo category for their records
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
+  const { id } = req.params;
+  const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+  const budgetConflict = req.body?.budgetConflict || req.query.budgetConflict || "sum";
+
+  if (!BUDGET_CONFLICT_STRATEGIES.includes(budgetConflict)) {
+    return res.status(400).json({
+      message: `Budget conflict must be one of: ${BUDGET_CONFLICT_STRATEGIES.join(", ")}`,
+    });
+  }
+
+  try {
+    const category = await Category.findOne({ _id: id, ...req.scope.filter });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found or not authorized" });
+    }
+
+    const usage = await countCategoryUsage([category._id]);
+    let moved = null;
+
+    if (usage.total > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          message: "Category is in use, provide reassignTo to move its records to another category",
+          usage,
+        });
+      }
+      if (category._id.equals(reassignTo)) {
+        return res.status(400).json({ message: "Cannot reassign a category to itself" });
+      }
+
+      const target = await Category.findOne({ _id: reassignTo, ...req.scope.filter });
+      if (!target) {
+        return res.status(404).json({ message: "Reassignment category not found or not authorized" });
+      }
+      if (target.type !== category.type) {
+        return res
+          .status(400)
+          .json({ message: "Reassignment category must have the same type" });
+      }
+
+      moved = await reassignCategory([category._id], target, { budgetConflict });
+    }
+
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany(
+      { parentId: category._id },
+      { $set: { parentId: category.parentId } }
+    );
+    await Category.deleteOne({ _id: category._id });
+    res.json({ message: "Category deleted successfully", category, moved });
+  } catch (error) {
+    console.error("Delete Category Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid category ID" });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
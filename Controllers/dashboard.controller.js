@@ -1,6 +1,7 @@
 import { Router } from "express";
 import mongoose from "mongoose";
 import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
 import {
   Income,
   Expense,
@@ -9,22 +10,35 @@ import {
   Notification,
   Category,
 } from "../databaseSchema/database.model.js";
+import { getUserPreferences, getPeriodRange } from "../Utils/preferences.js";
+import { getBudgetSpent } from "../Utils/budget.js";
+import { rollupCategoryTotals } from "../Utils/category.js";
+import { expenseLineStages } from "../Utils/expenseSplits.js";
 
 const router = Router();
 
 // Get dashboard data
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
   try {
     const userId = new mongoose.Types.ObjectId(req.user.userId);
-    const { startDate, endDate } = req.query;
-    const match = { userId };
-    const today = new Date();
-    const defaultStart = new Date(today.getFullYear(), today.getMonth(), 1);
-    const defaultEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-    const start = startDate ? new Date(startDate) : defaultStart;
-    const end = endDate ? new Date(endDate) : defaultEnd;
+    const scope = req.scope.filter;
+    const { period, rollup } = req.query;
+    let { startDate, endDate } = req.query;
+    const match = { ...scope };
+
+    // "period=week|month" selects the current week or month in the user's timezone
+    if (period && !(startDate && endDate)) {
+      if (!["week", "month"].includes(period)) {
+        return res.status(400).json({ message: "Period must be week or month" });
+      }
+      const preferences = await getUserPreferences(userId);
+      const range = getPeriodRange(period, preferences);
+      startDate = range.start;
+      endDate = range.end;
+    }
+
     if (startDate && endDate) {
-      match.date = { $gte: start, $lte: end };
+      match.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
     }
 
     // Parallel aggregations for income, expenses, loans, budgets, notifications
@@ -41,9 +55,10 @@ router.get("/", authMiddleware, async (req, res) => {
         { $match: match },
         { $group: { _id: null, totalIncome: { $sum: "$amount" } } },
       ]),
-      // Total Expenses and Spending Breakdown
+      // Total Expenses and Spending Breakdown (split expenses count per line)
       Expense.aggregate([
         { $match: match },
+        ...expenseLineStages(),
         {
           $group: {
             _id: "$categoryId",
@@ -69,7 +84,7 @@ router.get("/", authMiddleware, async (req, res) => {
       ]),
       // Total Loan Balance
       Loan.aggregate([
-        { $match: { userId, status: "active" } },
+        { $match: { ...scope, status: "active" } },
         {
           $group: {
             _id: null,
@@ -81,32 +96,23 @@ router.get("/", authMiddleware, async (req, res) => {
       Budget.find(
         startDate && endDate
           ? {
-              userId,
+              ...scope,
               startDate: { $gte: new Date(startDate), $lte: new Date(endDate) },
             }
-          : { userId }
+          : scope
       )
         .populate("categoryId", "name type")
         .sort({ startDate: -1 }),
       // Recent Notifications
       Notification.find({ userId }).sort({ createdAt: -1 }).limit(5),
       // All Categories for Reference
-      Category.find({ userId, type: "expense" }).select("name"),
+      Category.find({ ...scope, type: "expense" }).select("name type parentId"),
     ]);
 
-    // Calculate budget spending
+    // Calculate budget spending, including each budget category's subcategories
     const budgetsWithSpending = await Promise.all(
       budgets.map(async (budget) => {
-        const expenseQuery = {
-          userId,
-          categoryId: budget.categoryId._id,
-          date: { $gte: budget.startDate, $lte: budget.endDate },
-        };
-        const expenseResult = await Expense.aggregate([
-          { $match: expenseQuery },
-          { $group: { _id: null, spent: { $sum: "$amount" } } },
-        ]);
-        const spent = expenseResult[0]?.spent || 0;
+        const spent = await getBudgetSpent(budget);
         return {
           ...budget.toObject(),
           spent,
@@ -148,8 +154,21 @@ router.get("/", authMiddleware, async (req, res) => {
     );
     const totalLoanBalance = loanResult[0]?.totalLoanBalance || 0;
 
+    // "rollup=true" reports subcategory spending under its top-level category
+    const roundBreakdown = (entries) =>
+      entries.map((entry) => ({
+        ...entry,
+        totalSpent: Number(entry.totalSpent.toFixed(2)),
+        ...(entry.subcategories && { subcategories: roundBreakdown(entry.subcategories) }),
+      }));
+    const spendingBreakdown = roundBreakdown(
+      rollup === "true"
+        ? rollupCategoryTotals(expenseResult, categories, "totalSpent")
+        : expenseResult
+    );
+
     const loanProgress = await Loan.aggregate([
-        { $match: { userId, status: "active" } },
+        { $match: { ...scope, status: "active" } },
         {
           $group: {
             _id: null,
@@ -168,10 +187,7 @@ router.get("/", authMiddleware, async (req, res) => {
       totalIncome: Number(totalIncome.toFixed(2)),
       totalExpenses: Number(totalExpenses.toFixed(2)),
       totalLoanBalance: Number(totalLoanBalance.toFixed(2)),
-      spendingBreakdown: expenseResult.map((cat) => ({
-        ...cat,
-        totalSpent: Number(cat.totalSpent.toFixed(2)),
-      })),
+      spendingBreakdown,
       budgets: budgetsWithSpending,
       recentTransactions,
       notifications: notifications.map((n) => ({
@@ -2,34 +2,85 @@ import { Router } from "express";
 import { check, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import authMiddleware from "../Middleware/auth.js";
-import { Expense, Category, Budget, Notification } from "../databaseSchema/database.model.js";
+import householdScope from "../Middleware/householdScope.js";
+import createAttachmentRouter from "./attachment.controller.js";
+import createTrashRouter from "./trash.controller.js";
+import { Expense, Category } from "../databaseSchema/database.model.js";
+import { createPreferencesLoader, getUserPreferences } from "../Utils/preferences.js";
+import { purgeDate } from "../Utils/trash.js";
+import {
+  findBudgetsForExpense,
+  syncBudgetOverrun,
+  syncBudgetsForExpenses,
+} from "../Utils/budget.js";
+import { primarySplitCategory, splitValidation, splitsFromBody } from "../Utils/expenseSplits.js";
+import { categorize, createRulesLoader } from "../Utils/rules.js";
+import { bulkValidation, runBulkOperation } from "../Utils/bulkTransactions.js";
+import { normalizeTags, tagValidation } from "../Utils/tags.js";
+import {
+  buildTransactionQuery,
+  findTransactionPage,
+  transactionQueryValidation,
+} from "../Utils/transactionQuery.js";
 
 const router = Router();
 
+// Deleted expenses, until they are restored or purged
+router.use(
+  "/trash",
+  createTrashRouter({
+    type: "expense",
+    model: Expense,
+    label: "Expense",
+    populate: "categoryId",
+    onRestore: async (expense, req) => {
+      // The expense counts against its budgets again
+      await syncBudgetsForExpenses(req.scope.filter, [expense]);
+    },
+  })
+);
+
+// Receipts and other files on an expense
+router.use(
+  "/:id/attachments",
+  createAttachmentRouter({ ownerType: "expense", model: Expense, label: "Expense" })
+);
+
 // Input validation for expense (regular and recurring)
 const expenseValidation = [
   check("categoryId")
+    // Split expenses take it from their lines, new expenses may leave it to the user's rules
+    .if(
+      (value, { req }) =>
+        value !== undefined || (req.method !== "POST" && !req.body.splits?.length)
+    )
     .notEmpty()
     .withMessage("Category ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
     .custom(async (value, { req }) => {
-      try {
-        const category = await Category.findOne({
-          _id: value,
-          userId: req.user.userId,
-          type: "expense",
-        });
-        if (!category) {
-          throw new Error("Invalid expense category");
-        }
-        return true;
-      } catch (error) {
-        throw new Error("Invalid category ID");
+      const category = await Category.findOne({
+        _id: value,
+        ...req.scope.filter,
+        type: "expense",
+      });
+      if (!category) {
+        throw new Error("Invalid expense category");
+      }
+      // Archived categories stay valid for expenses already filed under them
+      if (
+        category.archived &&
+        !(req.params.id && (await Expense.exists({ _id: req.params.id, categoryId: category._id })))
+      ) {
+        throw new Error("Archived categories cannot be used for new transactions");
       }
+      return true;
     }),
   check("amount").isFloat({ min: 0 }).withMessage("Amount must be a positive number"),
   check("paymentMethod")
-    .notEmpty()
-    .withMessage("Payment method is required")
+    .optional() // Falls back to the user's default payment method
     .isIn(["cash", "card", "bank", "mobile"])
     .withMessage("Invalid payment method"),
   check("date")
@@ -61,82 +112,129 @@ const expenseValidation = [
       }
       return true;
     }),
+  ...splitValidation,
+  ...tagValidation,
 ];
 
-// Create a new expense (regular or recurring)
-router.post("/", authMiddleware, expenseValidation, async (req, res) => {
+// Helper: An unsaved expense from a validated create body. Without a category the user's
+// rules decide it. Returns { expense, appliedRules }, or { error } when no rule matches.
+const buildExpense = async (body, req, { preferences, getRules }) => {
+  const { categoryId, amount, paymentMethod, date, notes, isRecurring, frequency, endDate } = body;
+  const splits = splitsFromBody(body.splits);
+
+  const expense = new Expense({
+    userId: req.scope.userId,
+    householdId: req.scope.householdId,
+    // A split expense is listed under the category of its largest line
+    categoryId: splits.length
+      ? primarySplitCategory(splits)
+      : categoryId
+        ? new mongoose.Types.ObjectId(categoryId)
+        : null,
+    splits,
+    amount,
+    paymentMethod: paymentMethod || preferences.defaultPaymentMethod,
+    date: new Date(date),
+    notes,
+    tags: normalizeTags(body.tags),
+    isRecurring: isRecurring || false,
+    frequency: isRecurring ? frequency : null,
+    nextOccurrence: isRecurring ? calculateNextOccurrence(date, frequency) : null,
+    endDate: isRecurring && endDate ? new Date(endDate) : null,
+  });
+
+  if (expense.categoryId) {
+    return { expense, appliedRules: [] };
+  }
+  const result = categorize(await getRules(), expense);
+  if (!result?.changes.categoryId) {
+    return { error: "Category ID is required, no rule matched this expense" };
+  }
+  expense.set(result.changes);
+  return {
+    expense,
+    appliedRules: result.rules.map((rule) => ({ _id: rule._id, name: rule.name })),
+  };
+};
+
+// Create a new expense (regular or recurring, optionally split across categories)
+router.post("/", authMiddleware, householdScope("editor"), expenseValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { categoryId, amount, paymentMethod, date, notes, isRecurring, frequency, endDate } = req.body;
-
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    const expense = new Expense({
-      userId,
-      categoryId: new mongoose.Types.ObjectId(categoryId),
-      amount,
-      paymentMethod,
-      date: new Date(date),
-      notes,
-      isRecurring: isRecurring || false,
-      frequency: isRecurring ? frequency : null,
-      nextOccurrence: isRecurring ? calculateNextOccurrence(date, frequency) : null,
-      endDate: isRecurring && endDate ? new Date(endDate) : null,
+    const preferences = await getUserPreferences(req.scope.userId);
+    const { expense, appliedRules, error } = await buildExpense(req.body, req, {
+      preferences,
+      getRules: createRulesLoader(req.scope.filter, "expense"),
     });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     await expense.save();
 
-    // Check for budget overrun
-    const budget = await Budget.findOne({
-      userId,
-      categoryId: new mongoose.Types.ObjectId(categoryId),
-      startDate: { $lte: new Date(date) },
-      endDate: { $gte: new Date(date) },
-    }).populate("categoryId");
-
-    if (budget) {
-      const expenseQuery = {
-        userId: new mongoose.Types.ObjectId(userId),
-        categoryId: new mongoose.Types.ObjectId(categoryId),
-        date: { $gte: new Date(budget.startDate), $lte: new Date(budget.endDate) },
-      };
-      const expenseResult = await Expense.aggregate([
-        { $match: expenseQuery },
-        { $group: { _id: null, spent: { $sum: "$amount" } } },
+    // Check for budget overrun (budgets on parent categories cover this one too)
+    await syncBudgetsForExpenses(req.scope.filter, [expense]);
+
+    res.status(201).json({ message: "Expense added successfully", expense, appliedRules });
+  } catch (error) {
+    console.error("Create Expense Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Bulk create, recategorise, change payment method or delete expenses, see
+// Utils/bulkTransactions.js. Budgets are checked once each after the batch.
+router.post("/bulk", authMiddleware, householdScope("editor"), bulkValidation("expense"), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const preferences = await getUserPreferences(req.scope.userId);
+    const getRules = createRulesLoader(req.scope.filter, "expense");
+    // A payment method change leaves every budget's spending as it was
+    const affectsBudgets = req.body.action !== "setPaymentMethod";
+    const { response, before, after } = await runBulkOperation(req, {
+      model: Expense,
+      itemValidation: expenseValidation,
+      buildRecord: async (item) => {
+        const { expense, error } = await buildExpense(item, req, { preferences, getRules });
+        return { record: expense, error };
+      },
+      checkRecord: (expense, action) =>
+        action === "recategorize" && expense.splits?.length
+          ? "Split expenses take their category from their lines"
+          : null,
+      trackChanges: affectsBudgets,
+    });
+
+    if (affectsBudgets) {
+      response.budgetsChecked = await syncBudgetsForExpenses(req.scope.filter, [
+        ...before,
+        ...after,
       ]);
-      const spent = expenseResult[0]?.spent || 0;
-
-      if (spent > budget.amount) {
-        const existingNotification = await Notification.findOne({
-          userId,
-          type: "budget_overrun",
-          relatedId: budget._id,
-          read: false,
-        });
-
-        if (!existingNotification) {
-          const notification = new Notification({
-            userId,
-            type: "budget_overrun",
-            message: `Your "${budget.budgetName}" budget for ${budget.categoryId?.name || "Unknown"} has been exceeded (Spent: Rs${spent}, Budget: Rs${budget.amount})`,
-            relatedId: budget._id,
-          });
-          await notification.save();
-        }
-      }
     }
 
-    res.status(201).json({ message: "Expense added successfully", expense });
+    const rejected = response.mode === "atomic" && !response.applied;
+    res.status(rejected ? 400 : 200).json({
+      message: rejected
+        ? "No expenses were changed, fix the failed items"
+        : "Bulk operation complete",
+      ...response,
+    });
   } catch (error) {
-    console.error("Create Expense Error:", error);
+    console.error("Bulk Expense Error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
 // Update an expense
-router.put("/:id", authMiddleware, expenseValidation, async (req, res) => {
+router.put("/:id", authMiddleware, householdScope("editor"), expenseValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -146,19 +244,28 @@ router.put("/:id", authMiddleware, expenseValidation, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    let expense = await Expense.findOne({ _id: id, userId });
+    let expense = await Expense.findOne({ _id: id, ...req.scope.filter });
 
     if (!expense) {
       return res.status(404).json({ message: "Expense not found or not authorized" });
     }
 
+    const previousBudgets = await findBudgetsForExpense(req.scope.filter, expense);
+
     // Update fields
-    expense.categoryId = new mongoose.Types.ObjectId(categoryId);
+    const splits = splitsFromBody(req.body.splits);
+    expense.splits = splits;
+    expense.categoryId = splits.length
+      ? primarySplitCategory(splits)
+      : new mongoose.Types.ObjectId(categoryId);
     expense.amount = amount;
-    expense.paymentMethod = paymentMethod;
+    expense.paymentMethod = paymentMethod || expense.paymentMethod;
     expense.date = new Date(date);
     expense.notes = notes;
+    // Tags are kept unless the update sends them
+    if (req.body.tags !== undefined) {
+      expense.tags = normalizeTags(req.body.tags);
+    }
     expense.isRecurring = isRecurring || false;
     expense.frequency = isRecurring ? frequency : null;
     expense.nextOccurrence = isRecurring ? calculateNextOccurrence(date, frequency) : null;
@@ -166,51 +273,16 @@ router.put("/:id", authMiddleware, expenseValidation, async (req, res) => {
 
     await expense.save();
 
-    // Check for budget overrun
-    const budget = await Budget.findOne({
-      userId,
-      categoryId: new mongoose.Types.ObjectId(categoryId),
-      startDate: { $lte: new Date(date) },
-      endDate: { $gte: new Date(date) },
-    }).populate("categoryId");
-
-    if (budget) {
-      const expenseQuery = {
-        userId: new mongoose.Types.ObjectId(userId),
-        categoryId: new mongoose.Types.ObjectId(categoryId),
-        date: { $gte: new Date(budget.startDate), $lte: new Date(budget.endDate) },
-      };
-      const expenseResult = await Expense.aggregate([
-        { $match: expenseQuery },
-        { $group: { _id: null, spent: { $sum: "$amount" } } },
-      ]);
-      const spent = expenseResult[0]?.spent || 0;
-
-      if (spent > budget.amount) {
-        const existingNotification = await Notification.findOne({
-          userId,
-          type: "budget_overrun",
-          relatedId: budget._id,
-          read: false,
-        });
-
-        if (!existingNotification) {
-          const notification = new Notification({
-            userId,
-            type: "budget_overrun",
-            message: `Your "${budget.budgetName}" budget for ${budget.categoryId?.name || "Unknown"} has been exceeded (Spent: Rs${spent}, Budget: Rs${budget.amount})`,
-            relatedId: budget._id,
-          });
-          await notification.save();
-        }
-      } else {
-        await Notification.deleteOne({
-          userId,
-          type: "budget_overrun",
-          relatedId: budget._id,
-          read: false,
-        });
-      }
+    // Check for budget overrun on the budgets covering the expense before and after the change
+    const budgets = [
+      ...previousBudgets,
+      ...(await findBudgetsForExpense(req.scope.filter, expense)),
+    ].filter(
+      (budget, index, all) => all.findIndex((other) => other._id.equals(budget._id)) === index
+    );
+    const loadPreferences = createPreferencesLoader();
+    for (const budget of budgets) {
+      await syncBudgetOverrun(budget, loadPreferences);
     }
 
     res.json({ message: "Expense updated successfully", expense });
@@ -223,52 +295,29 @@ router.put("/:id", authMiddleware, expenseValidation, async (req, res) => {
   }
 });
 
-// Delete an expense
-router.delete("/:id", authMiddleware, async (req, res) => {
+// Delete an expense (moves it to the trash)
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    const expense = await Expense.findOne({ _id: id, userId });
+    const expense = await Expense.findOne({ _id: id, ...req.scope.filter });
 
     if (!expense) {
       return res.status(404).json({ message: "Expense not found or not authorized" });
     }
 
+    // Move the expense to the trash, it stops counting against budgets
+    expense.deletedAt = new Date();
+    await expense.save();
+
     // Check for budget overrun status after deletion
-    const budget = await Budget.findOne({
-      userId,
-      categoryId: expense.categoryId,
-      startDate: { $lte: new Date(expense.date) },
-      endDate: { $gte: new Date(expense.date) },
-    }).populate("categoryId");
-
-    // Delete the expense
-    await Expense.deleteOne({ _id: id, userId });
-
-    if (budget) {
-      const expenseQuery = {
-        userId: new mongoose.Types.ObjectId(userId),
-        categoryId: new mongoose.Types.ObjectId(expense.categoryId),
-        date: { $gte: new Date(budget.startDate), $lte: new Date(budget.endDate) },
-      };
-      const expenseResult = await Expense.aggregate([
-        { $match: expenseQuery },
-        { $group: { _id: null, spent: { $sum: "$amount" } } },
-      ]);
-      const spent = expenseResult[0]?.spent || 0;
-
-      if (spent <= budget.amount) {
-        await Notification.deleteOne({
-          userId,
-          type: "budget_overrun",
-          relatedId: budget._id,
-          read: false,
-        });
-      }
-    }
+    await syncBudgetsForExpenses(req.scope.filter, [expense]);
 
-    res.json({ message: "Expense deleted successfully", expense });
+    res.json({
+      message: "Expense moved to trash",
+      expense,
+      purgeAt: purgeDate(expense.deletedAt),
+    });
   } catch (error) {
     console.error("Delete Expense Error:", error);
     if (error.name === "CastError") {
@@ -278,30 +327,21 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
-// Get user's expenses
-router.get("/", authMiddleware, async (req, res) => {
-  const { startDate, endDate, categoryId } = req.query;
-  const userId = new mongoose.Types.ObjectId(req.user.userId);
-  const query = { userId };
-
-  if (startDate || endDate) {
-    query.date = {};
-    if (startDate) query.date.$gte = new Date(startDate);
-    if (endDate) query.date.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
-  }
-  if (categoryId) {
-    try {
-      query.categoryId = new mongoose.Types.ObjectId(categoryId);
-    } catch (error) {
-      return res.status(400).json({ message: "Invalid category ID" });
-    }
+// Get user's expenses - Filters, sorting and cursor pagination as in Utils/transactionQuery.js
+router.get("/", authMiddleware, householdScope("viewer"), transactionQueryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
   try {
-    const expenses = await Expense.find(query)
-      .populate("categoryId", "name type")
-      .sort({ date: -1 });
-    res.json({ expenses });
+    const query = await buildTransactionQuery(req);
+    const [{ items, nextCursor }, total] = await Promise.all([
+      findTransactionPage(Expense, query),
+      Expense.countDocuments(query.filter),
+    ]);
+
+    res.json({ expenses: items, total, nextCursor });
   } catch (error) {
     console.error("Get Expenses Error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -0,0 +1,433 @@
+import { Router } from "express";
+import { check, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import crypto from "crypto";
+import authMiddleware from "../Middleware/auth.js";
+import {
+  Household,
+  HouseholdInvite,
+  User,
+} from "../databaseSchema/database.model.js";
+import { ROLE_RANK, deleteHousehold } from "../Utils/household.js";
+import { sendMail } from "../Utils/mailer.js";
+
+const router = Router();
+
+const INVITE_TTL_DAYS = Number(process.env.HOUSEHOLD_INVITE_TTL_DAYS) || 7;
+
+// Helper: Hash an invite token for storage
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Helper: Load a household the user belongs to, with their role.
+// Returns an error response descriptor when missing or the role is too low.
+const loadMembership = async (householdId, userId, minRole = "viewer") => {
+  const household = await Household.findOne({
+    _id: householdId,
+    "members.userId": userId,
+  });
+  if (!household) {
+    return { status: 404, message: "Household not found or not authorized" };
+  }
+  const member = household.members.find((m) => m.userId.equals(userId));
+  if (ROLE_RANK[member.role] < ROLE_RANK[minRole]) {
+    return {
+      status: 403,
+      message: `This action requires the ${minRole} role in the household`,
+    };
+  }
+  return { household, role: member.role };
+};
+
+// Input validation for creating/renaming a household
+const householdValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Household name is required")
+    .isLength({ max: 255 })
+    .withMessage("Household name must be at most 255 characters"),
+];
+
+// Create a household, the creator becomes its owner
+router.post("/", authMiddleware, householdValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const household = new Household({
+      name: req.body.name,
+      ownerId: userId,
+      members: [{ userId, role: "owner" }],
+    });
+    await household.save();
+    res.status(201).json({ message: "Household created successfully", household });
+  } catch (error) {
+    console.error("Create Household Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get the households the user belongs to
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const households = await Household.find({ "members.userId": userId }).sort({
+      name: 1,
+    });
+    res.json({
+      households: households.map((household) => ({
+        _id: household._id,
+        name: household.name,
+        ownerId: household.ownerId,
+        memberCount: household.members.length,
+        role: household.members.find((m) => m.userId.equals(userId)).role,
+      })),
+    });
+  } catch (error) {
+    console.error("Get Households Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a household with its members
+router.get("/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId);
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+
+    await membership.household.populate("members.userId", "name email");
+    res.json({ household: membership.household, role: membership.role });
+  } catch (error) {
+    console.error("Get Household Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Rename a household (owner only)
+router.put("/:id", authMiddleware, householdValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId, "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+
+    membership.household.name = req.body.name;
+    await membership.household.save();
+    res.json({ message: "Household updated successfully", household: membership.household });
+  } catch (error) {
+    console.error("Update Household Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Delete a household and all of its records (owner only)
+router.delete("/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId, "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+
+    await deleteHousehold(membership.household._id);
+    res.json({ message: "Household deleted successfully" });
+  } catch (error) {
+    console.error("Delete Household Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Input validation for inviting a member
+const inviteValidation = [
+  check("email").isEmail().withMessage("Valid email is required"),
+  check("role")
+    .isIn(["editor", "viewer"])
+    .withMessage("Role must be editor or viewer"),
+];
+
+// Invite someone by email (owner only)
+router.post("/:id/invites", authMiddleware, inviteValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const email = req.body.email.trim().toLowerCase();
+  const { role } = req.body;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId, "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+    const { household } = membership;
+
+    const invitedUser = await User.findOne({ email }).select("_id");
+    if (invitedUser && household.members.some((m) => m.userId.equals(invitedUser._id))) {
+      return res.status(400).json({ message: "User is already a member" });
+    }
+
+    // A new invite replaces any pending one for the same address
+    await HouseholdInvite.deleteMany({ householdId: household._id, email });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invite = await HouseholdInvite.create({
+      householdId: household._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: userId,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    const inviter = await User.findById(userId).select("name");
+    await sendMail({
+      to: email,
+      template: "householdInvite",
+      variables: {
+        inviterName: inviter?.name,
+        householdName: household.name,
+        role,
+        acceptUrl: `bachatguru://household-invite/${token}`,
+        expiresIn: `${INVITE_TTL_DAYS} days`,
+      },
+    });
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Invite Member Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get pending invites (owner only)
+router.get("/:id/invites", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId, "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+
+    const invites = await HouseholdInvite.find({
+      householdId: membership.household._id,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("email role expiresAt createdAt")
+      .sort({ createdAt: -1 });
+    res.json({ invites });
+  } catch (error) {
+    console.error("Get Invites Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke a pending invite (owner only)
+router.delete("/:id/invites/:inviteId", authMiddleware, async (req, res) => {
+  const { id, inviteId } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const membership = await loadMembership(id, userId, "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+
+    const invite = await HouseholdInvite.findOneAndDelete({
+      _id: inviteId,
+      householdId: membership.household._id,
+    });
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+    res.json({ message: "Invite revoked successfully" });
+  } catch (error) {
+    console.error("Revoke Invite Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Accept an invite, it must be addressed to the logged-in user's email
+router.post("/invites/:token/accept", authMiddleware, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const invite = await HouseholdInvite.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!invite) {
+      return res.status(400).json({ message: "Invalid or expired invite" });
+    }
+
+    const user = await User.findById(userId).select("email verified");
+    if (!user || user.email !== invite.email) {
+      return res
+        .status(403)
+        .json({ message: "This invite was sent to a different email address" });
+    }
+    // The address only proves the invitee once its owner has confirmed it
+    if (!user.verified) {
+      return res.status(403).json({ message: "Verify your email to accept this invite" });
+    }
+
+    const household = await Household.findById(invite.householdId);
+    if (!household) {
+      await HouseholdInvite.deleteOne({ _id: invite._id });
+      return res.status(400).json({ message: "Invalid or expired invite" });
+    }
+
+    if (!household.members.some((m) => m.userId.equals(userId))) {
+      household.members.push({ userId, role: invite.role });
+      await household.save();
+    }
+    await HouseholdInvite.deleteOne({ _id: invite._id });
+
+    res.json({ message: "Joined household successfully", household });
+  } catch (error) {
+    console.error("Accept Invite Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Change a member's role (owner only). Making someone owner transfers ownership.
+router.put(
+  "/:id/members/:memberId",
+  [
+    authMiddleware,
+    check("role")
+      .isIn(["owner", "editor", "viewer"])
+      .withMessage("Role must be owner, editor or viewer"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, memberId } = req.params;
+    const { role } = req.body;
+
+    try {
+      const userId = new mongoose.Types.ObjectId(req.user.userId);
+      const membership = await loadMembership(id, userId, "owner");
+      if (!membership.household) {
+        return res.status(membership.status).json({ message: membership.message });
+      }
+      const { household } = membership;
+
+      const member = household.members.find((m) => m.userId.toString() === memberId);
+      if (!member) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+      if (member.userId.equals(userId)) {
+        return res
+          .status(400)
+          .json({ message: "Transfer ownership to another member instead" });
+      }
+
+      member.role = role;
+      if (role === "owner") {
+        household.members.find((m) => m.userId.equals(userId)).role = "editor";
+        household.ownerId = member.userId;
+      }
+      await household.save();
+
+      res.json({ message: "Member role updated successfully", household });
+    } catch (error) {
+      console.error("Update Member Error:", error);
+      if (error.name === "CastError") {
+        return res.status(400).json({ message: "Invalid household ID" });
+      }
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Remove a member (owner), or leave the household (any member removing themself)
+router.delete("/:id/members/:memberId", authMiddleware, async (req, res) => {
+  const { id, memberId } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const leaving = memberId === userId.toString();
+    const membership = await loadMembership(id, userId, leaving ? "viewer" : "owner");
+    if (!membership.household) {
+      return res.status(membership.status).json({ message: membership.message });
+    }
+    const { household } = membership;
+
+    const member = household.members.find((m) => m.userId.toString() === memberId);
+    if (!member) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+    if (member.role === "owner") {
+      return res.status(400).json({
+        message: "The owner cannot leave, transfer ownership or delete the household",
+      });
+    }
+
+    household.members = household.members.filter((m) => !m.userId.equals(member.userId));
+    await household.save();
+
+    res.json({ message: leaving ? "Left household successfully" : "Member removed successfully" });
+  } catch (error) {
+    console.error("Remove Member Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid household ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+export default router;
@@ -3,29 +3,68 @@ import { check, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import { Income, Category } from "../databaseSchema/database.model.js";
 import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import createAttachmentRouter from "./attachment.controller.js";
+import createTrashRouter from "./trash.controller.js";
+import { purgeDate, trashRecords } from "../Utils/trash.js";
+import { getUserPreferences } from "../Utils/preferences.js";
+import { categorize, createRulesLoader } from "../Utils/rules.js";
+import { bulkValidation, runBulkOperation } from "../Utils/bulkTransactions.js";
+import { normalizeTags, tagValidation } from "../Utils/tags.js";
+import {
+  buildTransactionQuery,
+  findTransactionPage,
+  transactionQueryValidation,
+} from "../Utils/transactionQuery.js";
 
 const router = Router();
 
+// Deleted incomes, until they are restored or purged
+router.use(
+  "/trash",
+  createTrashRouter({ type: "income", model: Income, label: "Income", populate: "categoryId" })
+);
+
+// Receipts and other files on an income
+router.use(
+  "/:id/attachments",
+  createAttachmentRouter({ ownerType: "income", model: Income, label: "Income" })
+);
+
 // Input validation for adding income (regular and recurring)
 const incomeValidation = [
   check("categoryId")
+    // New incomes may leave the category to the user's rules
+    .if((value, { req }) => value !== undefined || req.method !== "POST")
     .notEmpty()
     .withMessage("Category ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
     .custom(async (value, { req }) => {
       const category = await Category.findOne({
         _id: value,
-        userId: req.user.userId,
+        ...req.scope.filter,
         type: "income",
       });
       if (!category) {
         throw new Error("Invalid income category");
       }
+      // Archived categories stay valid for incomes already filed under them
+      if (
+        category.archived &&
+        !(req.params.id && (await Income.exists({ _id: req.params.id, categoryId: category._id })))
+      ) {
+        throw new Error("Archived categories cannot be used for new transactions");
+      }
       return true;
     }),
   check("amount")
     .isFloat({ min: 0 })
     .withMessage("Amount must be a positive number"),
   check("paymentMethod")
+    .optional() // Falls back to the user's default payment method
     .isIn(["cash", "card", "bank", "mobile"])
     .withMessage("Invalid payment method"),
   check("date")
@@ -37,6 +76,7 @@ const incomeValidation = [
       }
       return true;
     }),
+  ...tagValidation,
 ];
 
 // Validation for recurring income
@@ -64,32 +104,298 @@ const recurringIncomeValidation = [
     }),
 ];
 
+// Helper: An unsaved income from a validated create body. Without a category the user's
+// rules decide it. Returns { income, appliedRules }, or { error } when no rule matches.
+const buildIncome = async (body, req, { preferences, getRules }) => {
+  const { categoryId, amount, paymentMethod, date, notes, isRecurring, frequency, endDate } = body;
+
+  const income = new Income({
+    userId: req.scope.userId,
+    householdId: req.scope.householdId,
+    categoryId,
+    amount,
+    paymentMethod: paymentMethod || preferences.defaultPaymentMethod,
+    date,
+    notes,
+    tags: normalizeTags(body.tags),
+    isRecurring: isRecurring || false,
+    frequency: isRecurring ? frequency : null,
+    nextOccurrence: isRecurring ? calculateNextOccurrence(date, frequency) : null,
+    endDate: isRecurring && endDate ? endDate : null,
+  });
+
+  if (categoryId) {
+    return { income, appliedRules: [] };
+  }
+  const result = categorize(await getRules(), income);
+  if (!result?.changes.categoryId) {
+    return { error: "Category ID is required, no rule matched this income" };
+  }
+  income.set(result.changes);
+  return {
+    income,
+    appliedRules: result.rules.map((rule) => ({ _id: rule._id, name: rule.name })),
+  };
+};
+
 // Add a new or recurring income
-router.post("/", authMiddleware, recurringIncomeValidation, async (req, res) => {
+router.post("/", authMiddleware, householdScope("editor"), recurringIncomeValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const preferences = await getUserPreferences(req.scope.userId);
+    const { income, appliedRules, error } = await buildIncome(req.body, req, {
+      preferences,
+      getRules: createRulesLoader(req.scope.filter, "income"),
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await income.save();
+    res.status(201).json({ message: "Income added successfully", income, appliedRules });
+  } catch (error) {
+    console.error("Add Income Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Bulk create, recategorise, change payment method or delete incomes, see
+// Utils/bulkTransactions.js. Recurring incomes are deleted one at a time, so that
+// DELETE /:id can hand their series on.
+router.post("/bulk", authMiddleware, householdScope("editor"), bulkValidation("income"), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  try {
+    const preferences = await getUserPreferences(req.scope.userId);
+    const getRules = createRulesLoader(req.scope.filter, "income");
+    const { response } = await runBulkOperation(req, {
+      model: Income,
+      itemValidation: recurringIncomeValidation,
+      buildRecord: async (item) => {
+        const { income, error } = await buildIncome(item, req, { preferences, getRules });
+        return { record: income, error };
+      },
+      checkRecord: (income, action) =>
+        action === "delete" && income.isRecurring
+          ? "Recurring incomes must be deleted individually"
+          : null,
+    });
+
+    const rejected = response.mode === "atomic" && !response.applied;
+    res.status(rejected ? 400 : 200).json({
+      message: rejected
+        ? "No incomes were changed, fix the failed items"
+        : "Bulk operation complete",
+      ...response,
+    });
+  } catch (error) {
+    console.error("Bulk Income Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Helper: Values a recurring income copies onto each generated occurrence
+const seriesValuesOf = (income) => ({
+  categoryId: income.categoryId,
+  amount: income.amount,
+  paymentMethod: income.paymentMethod,
+  notes: income.notes,
+  tags: income.tags,
+});
+
+// Helper: The recurring income an income belongs to (itself when it is the recurring one), or null
+const findSeriesTemplate = async (income, filter) => {
+  if (income.seriesId) {
+    return Income.findOne({ _id: income.seriesId, ...filter });
+  }
+  return income.isRecurring ? income : null;
+};
+
+// Helper: "this" (default) touches one occurrence of a recurring income, "future" also the later ones
+const getApplyTo = (req) => req.body?.applyTo || req.query.applyTo || "this";
+
+// Update an income - For recurring incomes applyTo=this|future picks the occurrences to change
+router.put("/:id", authMiddleware, householdScope("editor"), recurringIncomeValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const applyTo = getApplyTo(req);
+  if (!["this", "future"].includes(applyTo)) {
+    return res.status(400).json({ message: "applyTo must be this or future" });
+  }
+
   const { categoryId, amount, paymentMethod, date, notes, isRecurring, frequency, endDate } = req.body;
+  const { id } = req.params;
 
   try {
-    const income = new Income({
-      userId: req.user.userId,
-      categoryId,
+    const income = await Income.findOne({ _id: id, ...req.scope.filter });
+    if (!income) {
+      return res.status(404).json({ message: "Income not found or not authorized" });
+    }
+
+    const values = {
+      categoryId: new mongoose.Types.ObjectId(categoryId),
       amount,
-      paymentMethod,
-      date,
+      paymentMethod: paymentMethod || income.paymentMethod,
       notes,
-      isRecurring: isRecurring || false,
-      frequency: isRecurring ? frequency : null,
-      nextOccurrence: isRecurring ? calculateNextOccurrence(date, frequency) : null,
-      endDate: isRecurring && endDate ? endDate : null,
+      // Tags are kept unless the update sends them
+      ...(req.body.tags !== undefined && { tags: normalizeTags(req.body.tags) }),
+    };
+    const template = await findSeriesTemplate(income, req.scope.filter);
+
+    // A one-off income, it may become recurring
+    if (!template) {
+      income.set({
+        ...values,
+        date: new Date(date),
+        isRecurring: isRecurring || false,
+        frequency: isRecurring ? frequency : null,
+        nextOccurrence: isRecurring ? calculateNextOccurrence(date, frequency) : null,
+        endDate: isRecurring && endDate ? new Date(endDate) : null,
+      });
+      await income.save();
+      return res.json({ message: "Income updated successfully", income, updatedCount: 1 });
+    }
+
+    const isTemplate = template._id.equals(income._id);
+
+    if (applyTo === "this") {
+      // Occurrences still to come keep the values the series had
+      if (isTemplate && !template.seriesValues) {
+        template.seriesValues = seriesValuesOf(template);
+      }
+      income.set({ ...values, date: new Date(date) });
+      await income.save();
+      return res.json({ message: "Income updated successfully", income, updatedCount: 1 });
+    }
+
+    // This and future occurrences
+    income.set({ ...values, date: new Date(date) });
+    await income.save();
+    const later = await Income.updateMany(
+      { seriesId: template._id, _id: { $ne: income._id }, date: { $gt: income.date } },
+      { $set: values }
+    );
+
+    if (isRecurring === false) {
+      // Stop generating further occurrences
+      template.isRecurring = false;
+      template.nextOccurrence = null;
+    } else {
+      template.seriesValues = isTemplate ? null : { tags: template.tags, ...values };
+      if (frequency && frequency !== template.frequency) {
+        const latest = await Income.findOne({
+          $or: [{ _id: template._id }, { seriesId: template._id }],
+        }).sort({ date: -1 });
+        template.frequency = frequency;
+        template.nextOccurrence = calculateNextOccurrence(latest.date, frequency);
+      }
+      if (endDate !== undefined) {
+        template.endDate = endDate ? new Date(endDate) : null;
+      }
+    }
+    await template.save();
+
+    res.json({
+      message: "Income updated successfully",
+      income,
+      updatedCount: 1 + later.modifiedCount,
     });
+  } catch (error) {
+    console.error("Update Income Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid income ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Delete an income (moves it to the trash) - For recurring incomes applyTo=this|future
+// picks the occurrences to remove
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
+  const applyTo = getApplyTo(req);
+  if (!["this", "future"].includes(applyTo)) {
+    return res.status(400).json({ message: "applyTo must be this or future" });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const income = await Income.findOne({ _id: id, ...req.scope.filter });
+    if (!income) {
+      return res.status(404).json({ message: "Income not found or not authorized" });
+    }
+
+    const template = await findSeriesTemplate(income, req.scope.filter);
+    const isTemplate = template?._id.equals(income._id);
+    let deletedCount = 1;
+
+    if (template && applyTo === "future") {
+      const later = await trashRecords(Income, {
+        seriesId: template._id,
+        _id: { $ne: income._id },
+        date: { $gt: income.date },
+      });
+      deletedCount += later.modifiedCount;
+
+      // The series ends before this occurrence
+      if (!isTemplate) {
+        template.endDate = new Date(income.date.getTime() - 1);
+        await template.save();
+      }
+    } else if (isTemplate) {
+      // The most recent generated occurrence takes over the series. Without
+      // one, removing the only occurrence ends the series.
+      const successor = await Income.findOne({ seriesId: template._id }).sort({ date: -1 });
+      if (successor) {
+        successor.set({
+          isRecurring: true,
+          frequency: template.frequency,
+          nextOccurrence: template.nextOccurrence,
+          endDate: template.endDate,
+          seriesId: null,
+          seriesValues: template.seriesValues || seriesValuesOf(template),
+        });
+        await successor.save();
+        await Income.updateMany(
+          { seriesId: template._id },
+          { $set: { seriesId: successor._id } },
+          { withDeleted: true }
+        );
+        // Restored from the trash, the old template is a plain occurrence of the series
+        income.set({
+          isRecurring: false,
+          frequency: null,
+          nextOccurrence: null,
+          seriesId: successor._id,
+          seriesValues: null,
+        });
+      }
+    }
+
+    // Move the income to the trash
+    income.deletedAt = new Date();
     await income.save();
-    res.status(201).json({ message: "Income added successfully", income });
+    res.json({
+      message: "Income moved to trash",
+      income,
+      deletedCount,
+      purgeAt: purgeDate(income.deletedAt),
+    });
   } catch (error) {
-    console.error("Add Income Error:", error);
+    console.error("Delete Income Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid income ID" });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -111,30 +417,21 @@ function calculateNextOccurrence(date, frequency) {
   }
 }
 
-// Get user's incomes with optional date filters and pagination
-router.get("/", authMiddleware, async (req, res) => {
-  const { startDate, endDate, page = 1, limit = 10 } = req.query;
-  const userId = new mongoose.Types.ObjectId(req.user.userId);
-  const query = { userId };
-
-  if (startDate && endDate) {
-    query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+// Get user's incomes - Filters, sorting and cursor pagination as in Utils/transactionQuery.js
+router.get("/", authMiddleware, householdScope("viewer"), transactionQueryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
   try {
-    const incomes = await Income.find(query)
-      .populate("categoryId", "name type")
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .sort({ date: -1 });
-    const total = await Income.countDocuments(query);
+    const query = await buildTransactionQuery(req);
+    const [{ items, nextCursor }, total] = await Promise.all([
+      findTransactionPage(Income, query),
+      Income.countDocuments(query.filter),
+    ]);
 
-    res.json({
-      incomes,
-      total,
-      page: Number(page),
-      pages: Math.ceil(total / limit),
-    });
+    res.json({ incomes: items, total, nextCursor });
   } catch (error) {
     console.error("Get Incomes Error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -142,11 +439,10 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Get total income for dashboard
-router.get("/total", authMiddleware, async (req, res) => {
+router.get("/total", authMiddleware, householdScope("viewer"), async (req, res) => {
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
     const { startDate, endDate } = req.query;
-    const query = { userId };
+    const query = { ...req.scope.filter };
     if (startDate && endDate) {
       query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
     }
@@ -3,10 +3,41 @@ import { check, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import cron from "node-cron";
 import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import createAttachmentRouter from "./attachment.controller.js";
+import createTrashRouter from "./trash.controller.js";
 import { Loan, Notification } from "../databaseSchema/database.model.js";
+import { CRON_TIMEZONE } from "../cron.js";
+import { createPreferencesLoader, formatMoney, formatDate } from "../Utils/preferences.js";
+import { purgeDate } from "../Utils/trash.js";
 
 const router = Router();
 
+// Deleted loans, until they are restored or purged
+router.use(
+  "/trash",
+  createTrashRouter({
+    type: "loan",
+    model: Loan,
+    label: "Loan",
+    onRestore: async (loan) => {
+      // Reminders were dropped when the loan was trashed, bring back the one due now.
+      // The loan is already restored, a failed reminder must not fail the request.
+      try {
+        await remindLoanPayment(loan, createPreferencesLoader());
+      } catch (error) {
+        console.error("Restore Loan Reminder Error:", error);
+      }
+    },
+  })
+);
+
+// Loan agreements and other documents on a loan
+router.use(
+  "/:id/attachments",
+  createAttachmentRouter({ ownerType: "loan", model: Loan, label: "Loan" })
+);
+
 // Input validation for adding/updating a loan
 const loanValidation = [
   check("title").notEmpty().withMessage("Loan title is required"),
@@ -144,7 +175,7 @@ const calculateAccruedInterest = (principal, annualRate, fromDate, toDate, compo
 };
 
 // Add a new loan
-router.post("/", authMiddleware, loanValidation, async (req, res) => {
+router.post("/", authMiddleware, householdScope("editor"), loanValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -207,6 +238,7 @@ router.post("/", authMiddleware, loanValidation, async (req, res) => {
 
     const loan = new Loan({
       userId,
+      householdId: req.scope.householdId,
       title,
       lenderName,
       amount: parseFloat(parsedAmount.toFixed(2)),
@@ -236,10 +268,9 @@ router.post("/", authMiddleware, loanValidation, async (req, res) => {
 });
 
 // Get user's loans
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
   const { status, page = 1, limit = 10 } = req.query;
-  const userId = new mongoose.Types.ObjectId(req.user.userId);
-  const query = { userId };
+  const query = { ...req.scope.filter };
 
   if (status) {
     query.status = status;
@@ -265,7 +296,7 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Update a loan
-router.put("/:id", authMiddleware, loanValidation, async (req, res) => {
+router.put("/:id", authMiddleware, householdScope("editor"), loanValidation, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -287,8 +318,7 @@ router.put("/:id", authMiddleware, loanValidation, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    let loan = await Loan.findOne({ _id: id, userId });
+    let loan = await Loan.findOne({ _id: id, ...req.scope.filter });
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found or not authorized" });
@@ -385,26 +415,28 @@ router.put("/:id", authMiddleware, loanValidation, async (req, res) => {
   }
 });
 
-// Delete a loan
-router.delete("/:id", authMiddleware, async (req, res) => {
+// Delete a loan (moves it to the trash)
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    const loan = await Loan.findOne({ _id: id, userId });
+    const loan = await Loan.findOne({ _id: id, ...req.scope.filter });
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found or not authorized" });
     }
 
-    await Loan.deleteOne({ _id: id, userId });
+    // Move the loan to the trash, its attachments stay until it is purged. Its payment
+    // reminders go now and are recreated if it is restored.
+    loan.deletedAt = new Date();
+    await loan.save();
     await Notification.deleteMany({
-      userId,
-      type: "loan_payment",
+      userId: loan.userId,
+      type: { $in: ["loan_payment", "loan_payment_overdue"] },
       relatedId: loan._id,
     });
 
-    res.json({ message: "Loan deleted successfully", loan });
+    res.json({ message: "Loan moved to trash", loan, purgeAt: purgeDate(loan.deletedAt) });
   } catch (error) {
     console.error("Delete Loan Error:", error);
     if (error.name === "CastError") {
@@ -415,7 +447,7 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 });
 
 // Record a loan payment
-router.post("/:id/payment", [authMiddleware, paymentValidation], async (req, res) => {
+router.post("/:id/payment", [authMiddleware, householdScope("editor"), paymentValidation], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -425,8 +457,7 @@ router.post("/:id/payment", [authMiddleware, paymentValidation], async (req, res
   const { paymentAmount, paymentDate } = req.body;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    let loan = await Loan.findOne({ _id: id, userId });
+    let loan = await Loan.findOne({ _id: id, ...req.scope.filter });
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found or not authorized" });
@@ -524,12 +555,11 @@ router.post("/:id/payment", [authMiddleware, paymentValidation], async (req, res
 });
 
 // Early loan payoff endpoint
-router.post("/:id/payoff", authMiddleware, async (req, res) => {
+router.post("/:id/payoff", authMiddleware, householdScope("editor"), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
-    let loan = await Loan.findOne({ _id: id, userId });
+    let loan = await Loan.findOne({ _id: id, ...req.scope.filter });
 
     if (!loan) {
       return res.status(404).json({ message: "Loan not found or not authorized" });
@@ -563,7 +593,7 @@ router.post("/:id/payoff", authMiddleware, async (req, res) => {
     await loan.save();
 
     await Notification.deleteMany({
-      userId,
+      userId: loan.userId,
       type: "loan_payment",
       relatedId: loan._id,
       read: false,
@@ -593,81 +623,94 @@ router.post("/:id/payoff", authMiddleware, async (req, res) => {
   }
 });
 
-// Schedule loan payment reminders
-cron.schedule("0 0 * * *", async () => {
-  try {
-    const now = new Date();
-    
-    const upcomingWindow = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-    
-    const overdueLoans = await Loan.find({
-      status: "active",
-      nextDueDate: { $lt: now },
+// Days ahead of a due date that a payment reminder is sent
+const REMINDER_WINDOW_DAYS = 3;
+
+// Helper: Create the payment reminder an active loan calls for at `now`, if it has not
+// been sent: an overdue notice every 7 days past the due date, or an upcoming reminder
+// within the reminder window
+const remindLoanPayment = async (loan, loadPreferences, now = new Date()) => {
+  if (loan.status !== "active" || !loan.nextDueDate) return;
+
+  const upcomingWindow = new Date(now.getTime() + REMINDER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (loan.nextDueDate < now) {
+    const daysOverdue = Math.floor((now - loan.nextDueDate) / (24 * 60 * 60 * 1000));
+    if (daysOverdue % 7 !== 0) return;
+
+    const existingOverdueNotification = await Notification.findOne({
+      userId: loan.userId,
+      type: "loan_payment_overdue",
+      relatedId: loan._id,
+      read: false,
+      "data.daysOverdue": daysOverdue,
     });
 
-    for (const loan of overdueLoans) {
-      const daysOverdue = Math.floor((now - loan.nextDueDate) / (24 * 60 * 60 * 1000));
-      
-      if (daysOverdue % 7 === 0) {
-        const existingOverdueNotification = await Notification.findOne({
-          userId: loan.userId,
-          type: "loan_payment_overdue",
-          relatedId: loan._id,
-          read: false,
-          "data.daysOverdue": daysOverdue,
-        });
-
-        if (!existingOverdueNotification) {
-          const notification = new Notification({
-            userId: loan.userId,
-            type: "loan_payment_overdue",
-            message: `OVERDUE: Your "${loan.title}" payment of Rs${loan.paymentAmount.toFixed(2)} was due on ${
-              loan.nextDueDate.toISOString().split("T")[0]
-            } (${daysOverdue} days overdue)`,
-            relatedId: loan._id,
-            data: { 
-              dueDate: loan.nextDueDate.toISOString().split("T")[0],
-              daysOverdue: daysOverdue 
-            },
-            read: false,
-            priority: "high",
-          });
-          await notification.save();
-        }
-      }
+    if (!existingOverdueNotification) {
+      const preferences = await loadPreferences(loan.userId);
+      const notification = new Notification({
+        userId: loan.userId,
+        type: "loan_payment_overdue",
+        message: `OVERDUE: Your "${loan.title}" payment of ${formatMoney(loan.paymentAmount, preferences)} was due on ${formatDate(
+          loan.nextDueDate,
+          preferences
+        )} (${daysOverdue} days overdue)`,
+        relatedId: loan._id,
+        data: {
+          dueDate: loan.nextDueDate.toISOString().split("T")[0],
+          daysOverdue: daysOverdue
+        },
+        read: false,
+        priority: "high",
+      });
+      await notification.save();
     }
-
-    const upcomingLoans = await Loan.find({
-      status: "active",
-      nextDueDate: { $gte: now, $lte: upcomingWindow },
+  } else if (loan.nextDueDate <= upcomingWindow) {
+    const existingUpcomingNotification = await Notification.findOne({
+      userId: loan.userId,
+      type: "loan_payment",
+      relatedId: loan._id,
+      read: false,
+      "data.dueDate": loan.nextDueDate.toISOString().split("T")[0],
     });
 
-    for (const loan of upcomingLoans) {
-      const existingUpcomingNotification = await Notification.findOne({
+    if (!existingUpcomingNotification) {
+      const preferences = await loadPreferences(loan.userId);
+      const notification = new Notification({
         userId: loan.userId,
         type: "loan_payment",
+        message: `Reminder: Your "${loan.title}" payment of ${formatMoney(loan.paymentAmount, preferences)} is due on ${formatDate(
+          loan.nextDueDate,
+          preferences
+        )}`,
         relatedId: loan._id,
+        data: { dueDate: loan.nextDueDate.toISOString().split("T")[0] },
         read: false,
-        "data.dueDate": loan.nextDueDate.toISOString().split("T")[0],
       });
+      await notification.save();
+    }
+  }
+};
 
-      if (!existingUpcomingNotification) {
-        const notification = new Notification({
-          userId: loan.userId,
-          type: "loan_payment",
-          message: `Reminder: Your "${loan.title}" payment of Rs${loan.paymentAmount.toFixed(2)} is due on ${
-            loan.nextDueDate.toISOString().split("T")[0]
-          }`,
-          relatedId: loan._id,
-          data: { dueDate: loan.nextDueDate.toISOString().split("T")[0] },
-          read: false,
-        });
-        await notification.save();
-      }
+// Schedule loan payment reminders
+cron.schedule("0 0 * * *", async () => {
+  try {
+    const loadPreferences = createPreferencesLoader();
+    const now = new Date();
+    const upcomingWindow = new Date(now.getTime() + REMINDER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    // Overdue loans and those due within the reminder window
+    const loans = await Loan.find({
+      status: "active",
+      nextDueDate: { $lte: upcomingWindow },
+    });
+
+    for (const loan of loans) {
+      await remindLoanPayment(loan, loadPreferences, now);
     }
   } catch (error) {
     console.error("Loan Notification Cron Error:", error);
   }
-});
+}, { timezone: CRON_TIMEZONE });
 
 export default router;
\ No newline at end of file
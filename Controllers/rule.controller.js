@@ -0,0 +1,363 @@
+import { Router } from "express";
+import { check, validationResult } from "express-validator";
+import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import {
+  Category,
+  CategoryRule,
+  Expense,
+  Income,
+} from "../databaseSchema/database.model.js";
+import {
+  MAX_RULE_REGEX_LENGTH,
+  applyRulesToHistory,
+  compileRuleRegex,
+  ruleChanges,
+  ruleMatches,
+} from "../Utils/rules.js";
+import { normalizeTags, tagListValidation } from "../Utils/tags.js";
+import { syncBudgetsForExpenses } from "../Utils/budget.js";
+
+const router = Router();
+
+// Transactions looked at when a rule is tested against history
+const RULE_TEST_SCAN_LIMIT = 1000;
+
+const TRANSACTION_MODELS = { income: Income, expense: Expense };
+
+// Input validation for a rule's conditions and actions
+const ruleDefinitionValidation = [
+  check("transactionType")
+    .isIn(["income", "expense"])
+    .withMessage("Transaction type must be income or expense"),
+  check("conditions.notesContains")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Notes text cannot be empty"),
+  check("conditions.notesRegex")
+    .optional({ values: "null" })
+    .isLength({ max: MAX_RULE_REGEX_LENGTH })
+    .withMessage(`Pattern must be at most ${MAX_RULE_REGEX_LENGTH} characters`)
+    .custom((value) => {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        throw new Error("Invalid regular expression");
+      }
+      if (!compileRuleRegex(value)) {
+        throw new Error("Pattern is too complex, avoid nested repetition such as (a+)+");
+      }
+      return true;
+    }),
+  check("conditions.amountMin")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Minimum amount must be a positive number"),
+  check("conditions.amountMax")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Maximum amount must be a positive number")
+    .custom((value, { req }) => {
+      const min = req.body.conditions?.amountMin;
+      if (min !== undefined && min !== null && Number(value) < Number(min)) {
+        throw new Error("Maximum amount must not be below the minimum amount");
+      }
+      return true;
+    }),
+  check("conditions.paymentMethods")
+    .optional()
+    .isArray()
+    .withMessage("Payment methods must be a list"),
+  check("conditions.paymentMethods.*")
+    .isIn(["cash", "card", "bank", "mobile"])
+    .withMessage("Invalid payment method"),
+  check("conditions")
+    .custom((value) => {
+      const { notesContains, notesRegex, amountMin, amountMax, paymentMethods } = value || {};
+      const hasCondition =
+        notesContains ||
+        notesRegex ||
+        (amountMin !== undefined && amountMin !== null) ||
+        (amountMax !== undefined && amountMax !== null) ||
+        paymentMethods?.length;
+      if (!hasCondition) {
+        throw new Error("At least one condition is required");
+      }
+      return true;
+    }),
+  check("actions.categoryId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
+    .custom(async (value, { req }) => {
+      const category = await Category.findOne({
+        _id: value,
+        ...req.scope.filter,
+        type: req.body.transactionType,
+      });
+      if (!category) {
+        throw new Error(`Invalid ${req.body.transactionType} category`);
+      }
+      if (category.archived) {
+        throw new Error("Archived categories cannot be used in rules");
+      }
+      return true;
+    }),
+  ...tagListValidation("actions.addTags"),
+  check("actions.setNotes").optional({ values: "null" }).isString().withMessage("Notes must be text"),
+  check("actions")
+    .custom((value) => {
+      const { categoryId, addTags, setNotes } = value || {};
+      if (!categoryId && !addTags?.length && (setNotes === undefined || setNotes === null)) {
+        throw new Error("At least one action is required");
+      }
+      return true;
+    }),
+];
+
+const ruleValidation = [
+  check("name").trim().notEmpty().withMessage("Rule name is required"),
+  check("priority").optional().isInt().withMessage("Priority must be an integer"),
+  check("enabled").optional().isBoolean().withMessage("Enabled must be a boolean"),
+  ...ruleDefinitionValidation,
+];
+
+// Input validation for the sample transaction a rule is tested against
+const testRuleValidation = [
+  check("sample")
+    .optional()
+    .isObject()
+    .withMessage("Sample must be an object"),
+  check("sample.notes").optional().isString().withMessage("Sample notes must be text"),
+  check("sample.amount").optional().isNumeric().withMessage("Sample amount must be a number"),
+  check("sample.paymentMethod")
+    .optional()
+    .isString()
+    .withMessage("Sample payment method must be text"),
+  check("sample.tags").optional().isArray().withMessage("Sample tags must be a list"),
+  check("sample.tags.*")
+    .if((value, { req }) => Array.isArray(req.body.sample?.tags))
+    .isString()
+    .withMessage("Sample tags must be text"),
+];
+
+const applyRulesValidation = [
+  check("transactionType")
+    .optional()
+    .isIn(["income", "expense"])
+    .withMessage("Transaction type must be income or expense"),
+  check("startDate").optional().isDate().withMessage("Valid start date is required"),
+  check("endDate").optional().isDate().withMessage("Valid end date is required"),
+  check("dryRun").optional().isBoolean().withMessage("dryRun must be a boolean"),
+];
+
+// Helper: Rule fields from a validated request body
+const ruleFields = (body) => ({
+  name: body.name,
+  transactionType: body.transactionType,
+  priority: body.priority ?? 0,
+  enabled: body.enabled ?? true,
+  conditions: {
+    notesContains: body.conditions.notesContains || null,
+    notesRegex: body.conditions.notesRegex || null,
+    amountMin: body.conditions.amountMin ?? null,
+    amountMax: body.conditions.amountMax ?? null,
+    paymentMethods: body.conditions.paymentMethods || [],
+  },
+  actions: {
+    categoryId: body.actions.categoryId || null,
+    addTags: normalizeTags(body.actions.addTags),
+    setNotes: body.actions.setNotes ?? null,
+  },
+});
+
+// Create a rule
+router.post("/", authMiddleware, householdScope("editor"), ruleValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await CategoryRule.create({
+      userId: req.scope.userId,
+      householdId: req.scope.householdId,
+      ...ruleFields(req.body),
+    });
+    res.status(201).json({ message: "Rule created successfully", rule });
+  } catch (error) {
+    console.error("Create Rule Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get rules in the order they are applied
+router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
+  const { transactionType } = req.query;
+  const query = { ...req.scope.filter };
+
+  if (transactionType) {
+    query.transactionType = transactionType;
+  }
+
+  try {
+    const rules = await CategoryRule.find(query)
+      .populate("actions.categoryId", "name type archived")
+      .sort({ priority: 1, createdAt: 1 });
+    res.json({ rules });
+  } catch (error) {
+    console.error("Get Rules Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Test a rule - Against a sample transaction, or as a preview over recent history.
+// Takes a saved rule (ruleId) or an unsaved definition (transactionType, conditions, actions).
+router.post("/test", authMiddleware, householdScope("viewer"), testRuleValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { ruleId, sample } = req.body;
+
+  try {
+    let rule;
+    if (ruleId) {
+      rule = await CategoryRule.findOne({ _id: ruleId, ...req.scope.filter });
+      if (!rule) {
+        return res.status(404).json({ message: "Rule not found or not authorized" });
+      }
+    } else {
+      await Promise.all(ruleDefinitionValidation.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      rule = ruleFields({ ...req.body, name: "Test" });
+    }
+
+    if (sample) {
+      const matches = ruleMatches(rule, sample);
+      return res.json({ matches, changes: matches ? ruleChanges(rule, sample) : null });
+    }
+
+    const transactions = await TRANSACTION_MODELS[rule.transactionType]
+      .find(req.scope.filter)
+      .populate("categoryId", "name")
+      .select("amount date notes paymentMethod categoryId tags")
+      .sort({ date: -1 })
+      .limit(RULE_TEST_SCAN_LIMIT);
+    const matching = transactions.filter((transaction) => ruleMatches(rule, transaction));
+
+    res.json({
+      scanned: transactions.length,
+      matchCount: matching.length,
+      matches: matching.slice(0, 20).map((transaction) => ({
+        transaction,
+        changes: ruleChanges(rule, transaction),
+      })),
+    });
+  } catch (error) {
+    console.error("Test Rule Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid rule ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Re-apply rules to existing transactions (dryRun only reports what would change)
+router.post(
+  "/apply",
+  authMiddleware,
+  householdScope("editor"),
+  applyRulesValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transactionType, startDate, endDate } = req.body;
+    const dryRun = [true, "true", 1, "1"].includes(req.body.dryRun);
+    const types = transactionType ? [transactionType] : ["income", "expense"];
+
+    try {
+      const results = {};
+      for (const type of types) {
+        const { summary, recategorized } = await applyRulesToHistory(
+          TRANSACTION_MODELS[type],
+          type,
+          req.scope.filter,
+          { startDate, endDate, dryRun }
+        );
+        results[type] = summary;
+
+        // Recategorised expenses left some budgets and joined others
+        if (type === "expense" && recategorized.length) {
+          summary.budgetsChecked = await syncBudgetsForExpenses(req.scope.filter, recategorized);
+        }
+      }
+      res.json({
+        message: dryRun ? "Dry run complete, nothing was changed" : "Rules applied successfully",
+        results,
+      });
+    } catch (error) {
+      console.error("Apply Rules Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Update a rule
+router.put("/:id", authMiddleware, householdScope("editor"), ruleValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const rule = await CategoryRule.findOneAndUpdate(
+      { _id: id, ...req.scope.filter },
+      { $set: ruleFields(req.body) },
+      { new: true }
+    );
+    if (!rule) {
+      return res.status(404).json({ message: "Rule not found or not authorized" });
+    }
+    res.json({ message: "Rule updated successfully", rule });
+  } catch (error) {
+    console.error("Update Rule Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid rule ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Delete a rule
+router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const rule = await CategoryRule.findOneAndDelete({ _id: id, ...req.scope.filter });
+    if (!rule) {
+      return res.status(404).json({ message: "Rule not found or not authorized" });
+    }
+    res.json({ message: "Rule deleted successfully", rule });
+  } catch (error) {
+    console.error("Delete Rule Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid rule ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+export default router;
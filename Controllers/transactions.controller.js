@@ -1,45 +1,39 @@
 import { Router } from "express";
-import mongoose from "mongoose";
+import { check, validationResult } from "express-validator";
 import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
 import { Income, Expense, Category } from "../databaseSchema/database.model.js";
+import { rollupCategoryTotals } from "../Utils/category.js";
+import { expenseLineStages } from "../Utils/expenseSplits.js";
+import { MAX_TAG_LENGTH, suggestTags } from "../Utils/tags.js";
+import {
+  buildTransactionQuery,
+  findMergedTransactionPage,
+  transactionQueryValidation,
+} from "../Utils/transactionQuery.js";
 
 const router = Router();
 
-router.get("/", authMiddleware, async (req, res) => {
-  const { startDate, endDate, categoryId, paymentMethod } = req.query;
-  let userId;
-
-  // Validate and convert userId to ObjectId
-  try {
-    userId = new mongoose.Types.ObjectId(req.user.userId);
-  } catch (error) {
-    return res.status(400).json({ message: "Invalid user ID" });
+// Totals, category breakdowns and one page of incomes and expenses together.
+// Filters, sorting and cursor pagination as in Utils/transactionQuery.js; the totals and
+// breakdowns cover every matching record, not just the page.
+router.get("/", authMiddleware, householdScope("viewer"), transactionQueryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
-  const query = { userId };
-
-  // Apply filters
-  if (startDate || endDate) {
-    query.date = {};
-    if (startDate) {
-      query.date.$gte = new Date(startDate);
-    }
-    if (endDate) {
-      query.date.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
-    }
-  }
-  if (categoryId) {
-    try {
-      query.categoryId = new mongoose.Types.ObjectId(categoryId);
-    } catch (error) {
-      return res.status(400).json({ message: "Invalid category ID" });
-    }
-  }
-  if (paymentMethod) {
-    query.paymentMethod = paymentMethod;
-  }
+  const { rollup } = req.query;
 
   try {
+    // With rollup, a parent category also matches its subcategories
+    const transactionQuery = await buildTransactionQuery(req, {
+      includeSubcategories: rollup === "true",
+    });
+    const query = transactionQuery.filter;
+    // Expenses as category lines, a split expense only counts its lines in the filtered categories
+    const expenseLines = [{ $match: query }, ...expenseLineStages(transactionQuery.categoryIds)];
+
     // Count documents
     const incomeCount = await Income.countDocuments(query);
     const expenseCount = await Expense.countDocuments(query);
@@ -53,20 +47,19 @@ router.get("/", authMiddleware, async (req, res) => {
 
     // Aggregate total expenses
     const expenseResult = await Expense.aggregate([
-      { $match: query },
+      ...expenseLines,
       { $group: { _id: null, totalExpenses: { $sum: "$amount" } } },
     ]);
     const totalExpenses = expenseResult[0]?.totalExpenses || 0;
 
-    // Fetch incomes with populated category and notes
-    const incomes = await Income.find(query)
-      .populate("categoryId", "name type")
-      .select("amount date notes paymentMethod categoryId");
-
-    // Fetch expenses with populated category and notes
-    const expenses = await Expense.find(query)
-      .populate("categoryId", "name type")
-      .select("amount date notes paymentMethod categoryId");
+    // One page of incomes and expenses in the requested order
+    const { items, nextCursor } = await findMergedTransactionPage(
+      { income: Income, expense: Expense },
+      transactionQuery
+    );
+    const transactions = items.map(({ type, record }) => ({ type, ...record.toObject() }));
+    const incomes = items.filter((item) => item.type === "income").map((item) => item.record);
+    const expenses = items.filter((item) => item.type === "expense").map((item) => item.record);
 
     // Aggregate by category for breakdown
     const incomeByCategory = await Income.aggregate([
@@ -96,7 +89,7 @@ router.get("/", authMiddleware, async (req, res) => {
     ]);
 
     const expensesByCategory = await Expense.aggregate([
-      { $match: query },
+      ...expenseLines,
       {
         $group: {
           _id: "$categoryId",
@@ -123,16 +116,35 @@ router.get("/", authMiddleware, async (req, res) => {
 
     const netMoney = totalIncome - totalExpenses;
 
+    // "rollup=true" reports subcategory totals under their top-level category
+    let incomeBreakdown = incomeByCategory;
+    let expenseBreakdown = expensesByCategory;
+    if (rollup === "true") {
+      const categories = await Category.find(req.scope.filter).select("name type parentId");
+      incomeBreakdown = rollupCategoryTotals(
+        incomeByCategory,
+        categories.filter((category) => category.type === "income"),
+        "total"
+      );
+      expenseBreakdown = rollupCategoryTotals(
+        expensesByCategory,
+        categories.filter((category) => category.type === "expense"),
+        "total"
+      );
+    }
+
     res.json({
       totalIncome,
       totalExpenses,
       netMoney,
       incomeCount,
       expenseCount,
-      incomes, // Include incomes with notes
-      expenses, // Include expenses with notes
-      incomeByCategory,
-      expensesByCategory,
+      transactions,
+      nextCursor,
+      incomes, // Incomes on this page
+      expenses, // Expenses on this page
+      incomeByCategory: incomeBreakdown,
+      expensesByCategory: expenseBreakdown,
     });
   } catch (error) {
     console.error("Aggregation Error:", error);
@@ -140,4 +152,109 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+// Helper: Totals per tag of the records an aggregation pipeline yields, limited to
+// `tags` when the report is filtered by tag
+const totalsPerTag = (stages, tags = null) => [
+  ...stages,
+  { $unwind: "$tags" },
+  ...(tags ? [{ $match: { tags: { $in: tags } } }] : []),
+  {
+    $group: {
+      _id: "$tags",
+      total: { $sum: "$amount" },
+      records: { $addToSet: "$_id" }, // A split expense can yield several lines
+    },
+  },
+  { $project: { total: 1, count: { $size: "$records" } } },
+];
+
+// Income and expense totals per tag, with the same filters as the listing
+// (e.g. startDate and endDate). Untagged records are left out.
+router.get("/tags", authMiddleware, householdScope("viewer"), transactionQueryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const transactionQuery = await buildTransactionQuery(req);
+    const query = transactionQuery.filter;
+    const requestedTags = query.tags ? query.tags.$in || query.tags.$all : null;
+
+    const [incomeTags, expenseTags] = await Promise.all([
+      Income.aggregate(totalsPerTag([{ $match: query }], requestedTags)),
+      Expense.aggregate(
+        totalsPerTag(
+          [{ $match: query }, ...expenseLineStages(transactionQuery.categoryIds)],
+          requestedTags
+        )
+      ),
+    ]);
+
+    const tags = new Map();
+    const tagEntry = (tag) => {
+      if (!tags.has(tag)) {
+        tags.set(tag, { tag, totalIncome: 0, incomeCount: 0, totalExpenses: 0, expenseCount: 0 });
+      }
+      return tags.get(tag);
+    };
+    for (const { _id, total, count } of incomeTags) {
+      Object.assign(tagEntry(_id), { totalIncome: total, incomeCount: count });
+    }
+    for (const { _id, total, count } of expenseTags) {
+      Object.assign(tagEntry(_id), { totalExpenses: total, expenseCount: count });
+    }
+
+    const report = [...tags.values()]
+      .map((entry) => ({ ...entry, netMoney: entry.totalIncome - entry.totalExpenses }))
+      .sort(
+        (a, b) =>
+          b.totalExpenses + b.totalIncome - (a.totalExpenses + a.totalIncome) ||
+          a.tag.localeCompare(b.tag)
+      );
+
+    res.json({
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null,
+      tags: report,
+    });
+  } catch (error) {
+    console.error("Tag Report Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Tag autocomplete - Tags from the scope's incomes and expenses starting with q, most used first
+router.get(
+  "/tags/suggestions",
+  authMiddleware,
+  householdScope("viewer"),
+  [
+    check("q")
+      .optional()
+      .isString()
+      .isLength({ max: MAX_TAG_LENGTH })
+      .withMessage(`q must be at most ${MAX_TAG_LENGTH} characters`),
+    check("limit").optional().isInt({ min: 1, max: 50 }).withMessage("limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const suggestions = await suggestTags(
+        req.scope.filter,
+        req.query.q,
+        req.query.limit ? Number(req.query.limit) : undefined
+      );
+      res.json({ suggestions });
+    } catch (error) {
+      console.error("Tag Suggestions Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
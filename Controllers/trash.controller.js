@@ -0,0 +1,88 @@
+import { Router } from "express";
+import authMiddleware from "../Middleware/auth.js";
+import householdScope from "../Middleware/householdScope.js";
+import { purgeDate, purgeRecords } from "../Utils/trash.js";
+
+// Trash routes for the records of one model, mounted by its controller at /trash.
+// Deleted records are listed here until they are restored or purged.
+//   type      - "income", "expense" or "loan"
+//   model     - the records' model
+//   label     - record name used in messages, e.g. "Expense"
+//   populate  - optional path to populate in the listing, e.g. "categoryId"
+//   onRestore - optional async (record, req) => void, run after a record is restored
+const createTrashRouter = ({ type, model, label, populate, onRestore }) => {
+  const router = Router();
+
+  // Helper: A trashed record within the request's scope
+  const findTrashed = (req) =>
+    model.findOne({ _id: req.params.id, ...req.scope.filter, deletedAt: { $ne: null } });
+
+  // Helper: Answer CastErrors for the ID in the URL
+  const handleError = (res, context, error) => {
+    console.error(`${context} Error:`, error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: `Invalid ${label.toLowerCase()} ID` });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  };
+
+  // List trashed records, most recently deleted first
+  router.get("/", authMiddleware, householdScope("viewer"), async (req, res) => {
+    try {
+      let query = model
+        .find({ ...req.scope.filter, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 });
+      if (populate) {
+        query = query.populate(populate, "name type");
+      }
+      const records = await query;
+      res.json({
+        trash: records.map((record) => ({
+          ...record.toObject(),
+          purgeAt: purgeDate(record.deletedAt),
+        })),
+      });
+    } catch (error) {
+      handleError(res, `Get ${label} Trash`, error);
+    }
+  });
+
+  // Restore a trashed record
+  router.post("/:id/restore", authMiddleware, householdScope("editor"), async (req, res) => {
+    try {
+      const record = await findTrashed(req);
+      if (!record) {
+        return res.status(404).json({ message: `${label} not found in trash or not authorized` });
+      }
+
+      record.deletedAt = null;
+      await record.save();
+      if (onRestore) {
+        await onRestore(record, req);
+      }
+
+      res.json({ message: `${label} restored successfully`, [type]: record });
+    } catch (error) {
+      handleError(res, `Restore ${label}`, error);
+    }
+  });
+
+  // Permanently delete a trashed record without waiting for the retention period
+  router.delete("/:id", authMiddleware, householdScope("editor"), async (req, res) => {
+    try {
+      const record = await findTrashed(req);
+      if (!record) {
+        return res.status(404).json({ message: `${label} not found in trash or not authorized` });
+      }
+
+      await purgeRecords(type, [record._id]);
+      res.json({ message: `${label} permanently deleted`, [type]: record });
+    } catch (error) {
+      handleError(res, `Purge ${label}`, error);
+    }
+  });
+
+  return router;
+};
+
+export default createTrashRouter;
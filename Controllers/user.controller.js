@@ -3,13 +3,154 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { check, validationResult } from "express-validator";
 import crypto from "crypto";
-import nodemailer from "nodemailer";
 import mongoose from "mongoose";
-import { User, PasswordResetToken } from "../databaseSchema/database.model.js";
-import authMiddleware from "../Middleware/auth.js";
+import {
+  User,
+  PasswordResetToken,
+  Session,
+  DataExport,
+  PersonalAccessToken,
+} from "../databaseSchema/database.model.js";
+import authMiddleware, {
+  PERSONAL_ACCESS_TOKEN_PREFIX,
+} from "../Middleware/auth.js";
+import { SCOPES } from "../Middleware/scopes.js";
+import { DEFAULT_CATEGORIES, applyCategoryTemplate } from "../Utils/categoryTemplates.js";
+import { attemptLimiter } from "../Middleware/attemptLimiter.js";
+import { generateSecret, verifyTotp, buildOtpauthUri } from "../Utils/totp.js";
+import { sendMail } from "../Utils/mailer.js";
+import { ACCOUNT_DELETION_GRACE_DAYS } from "../Utils/accountDeletion.js";
+import {
+  EXPORT_RETENTION_DAYS,
+  EXPORT_SYNC_MAX_RECORDS,
+  countUserRecords,
+  failStaleExports,
+  generateExport,
+} from "../Utils/dataExport.js";
+import {
+  DATE_FORMATS,
+  isValidCurrency,
+  isValidLocale,
+  isValidTimeZone,
+  resolvePreferences,
+} from "../Utils/preferences.js";
 
 const userController = Router();
 
+// Access tokens are short-lived; refresh tokens keep a device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Capabilities withheld from accounts that have not verified their email
+// (comma separated: password_reset, login, two_factor)
+const UNVERIFIED_RESTRICTIONS = (
+  process.env.UNVERIFIED_RESTRICTIONS ?? "password_reset"
+)
+  .split(",")
+  .map((capability) => capability.trim())
+  .filter(Boolean);
+
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || "24h";
+
+// Helper: Whether an unverified user is denied a capability
+const isRestricted = (user, capability) =>
+  !user.verified && UNVERIFIED_RESTRICTIONS.includes(capability);
+
+// Helper: Email a signed verification link, the token is bound to the current address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = jwt.sign(
+    { userId: user._id.toString(), email: user.email, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+
+  await sendMail({
+    to: user.email,
+    template: "verifyEmail",
+    variables: {
+      name: user.name,
+      verifyUrl: `bachatguru://verify-email/${verificationToken}`,
+      expiresIn: EMAIL_VERIFICATION_TTL,
+    },
+  });
+};
+
+// Helper: Hash a refresh token secret for storage
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Helper: Sign an access token bound to a session and the user's current token version
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id.toString(),
+      sessionId: sessionId.toString(),
+      tokenVersion: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Helper: Refresh token expiry from now
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Helper: Start a session for the requesting device and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: req.body.deviceName || req.get("User-Agent") || "Unknown device",
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+// Helper: Hash a recovery code, ignoring case and dashes
+const hashRecoveryCode = (code) =>
+  hashToken(String(code).toLowerCase().replace(/[^a-f0-9]/g, ""));
+
+// Helper: Generate one-time recovery codes, returns plain codes and their hashes
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashRecoveryCode(code)) };
+};
+
+// Helper: Check a TOTP or recovery code against the user's enabled 2FA.
+// Marks the code as used on the user document, the caller must save it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 // Input validation for registration
 const registerValidation = [
   check("name").notEmpty().withMessage("Name is required"),
@@ -42,15 +183,32 @@ userController.post("/register", registerValidation, async (req, res) => {
     const newUser = new User({ name, email, password: hashedPassword });
     await newUser.save();
 
-    // Generate token
-    const token = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Start the account with a default set of categories so transactions can be added right away
+    await applyCategoryTemplate(DEFAULT_CATEGORIES, { userId: newUser._id });
+
+    // A failed email should not fail the signup, the user can ask for a resend
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error("Send Verification Email Error:", error);
+    }
+
+    if (isRestricted(newUser, "login")) {
+      return res.status(201).json({
+        message: "User registered successfully. Please verify your email to log in.",
+        verificationRequired: true,
+        user: { id: newUser._id, name, email, verified: false },
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
       message: "User registered successfully",
       token,
-      user: { id: newUser._id, name, email },
+      refreshToken,
+      user: { id: newUser._id, name, email, verified: false },
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -64,50 +222,160 @@ const loginValidation = [
 ];
 
 // User Login
-userController.post("/login", loginValidation, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+userController.post(
+  "/login",
+  [
+    loginValidation,
+    attemptLimiter("login", { accountKey: (req) => req.body.email }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    try {
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        await req.attempts.fail();
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+
+      // Check password
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        await req.attempts.fail(user);
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+      await req.attempts.succeed();
+
+      if (isRestricted(user, "login")) {
+        return res.status(403).json({
+          message: "Please verify your email before logging in",
+          verificationRequired: true,
+        });
+      }
+
+      // With 2FA enabled a second step is needed before any session is created
+      if (user.twoFactor?.enabled) {
+        const twoFactorToken = jwt.sign(
+          { userId: user._id.toString(), purpose: "2fa" },
+          process.env.JWT_SECRET,
+          { expiresIn: "5m" }
+        );
+        return res.json({
+          message: "Two-factor authentication code required",
+          twoFactorRequired: true,
+          twoFactorToken,
+        });
+      }
+
+      // Generate tokens
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        user: { id: user._id, name: user.name, email, verified: user.verified },
+      });
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
   }
+);
 
-  const { email, password } = req.body;
+// Input validation for the second login step
+const twoFactorLoginValidation = [
+  check("twoFactorToken")
+    .notEmpty()
+    .withMessage("Two-factor token is required"),
+  check("code")
+    .if((value, { req }) => !req.body.recoveryCode)
+    .notEmpty()
+    .withMessage("Authentication code or recovery code is required"),
+];
 
-  try {
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
+// Login second step - Verify the TOTP or recovery code and issue tokens
+userController.post(
+  "/login/2fa",
+  [
+    twoFactorLoginValidation,
+    // Keyed on the (still unverified) token subject, failures are only recorded after verification
+    attemptLimiter("login-2fa", {
+      accountKey: (req) => jwt.decode(req.body.twoFactorToken)?.userId,
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired two-factor token" });
+    }
+    if (decoded.purpose !== "2fa") {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired two-factor token" });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id.toString() },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: "7d",
+    try {
+      const user = await User.findById(decoded.userId);
+      if (!user || !user.twoFactor?.enabled) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired two-factor token" });
       }
-    );
 
-    res.json({
-      message: "Login successful",
-      token,
-      user: { id: user._id, name: user.name, email },
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        await req.attempts.fail(user);
+        return res
+          .status(400)
+          .json({ message: "Invalid authentication code" });
+      }
+      await user.save();
+      await req.attempts.succeed();
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          verified: user.verified,
+        },
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      });
+    } catch (error) {
+      console.error("Two-Factor Login Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
   }
-});
+);
 
 // Forgot password - Generate and send reset link
 userController.post(
   "/forgot-password",
-  [check("email").isEmail().withMessage("Valid email is required")],
+  [
+    check("email").isEmail().withMessage("Valid email is required"),
+    attemptLimiter("forgot-password", { accountKey: (req) => req.body.email }),
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -117,8 +385,12 @@ userController.post(
     const { email } = req.body;
 
     try {
+      // Every request counts, so reset emails cannot be used to flood an inbox
+      await req.attempts.fail();
+
       const user = await User.findOne({ email });
-      if (!user) {
+      // Same response for unverified accounts so addresses cannot be probed
+      if (!user || isRestricted(user, "password_reset")) {
         return res
           .status(200)
           .json({ message: "If the email exists, a reset link has been sent" });
@@ -126,36 +398,28 @@ userController.post(
 
       await PasswordResetToken.deleteMany({ userId: user._id });
 
-      const resetToken = crypto.randomBytes(32).toString("hex");
-      console.log("Raw Reset Token:", resetToken);
-      const tokenHash = await bcrypt.hash(resetToken, 10);
-      console.log("Hashed Token:", tokenHash);
+      const selector = crypto.randomBytes(16).toString("hex");
+      const verifier = crypto.randomBytes(32).toString("hex");
+      const resetToken = `${selector}.${verifier}`;
       const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
 
       await PasswordResetToken.create({
         userId: user._id,
-        token: tokenHash,
+        selector,
+        verifierHash: hashToken(verifier),
         expiresAt,
       });
 
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
+      await sendMail({
+        to: email,
+        template: "passwordReset",
+        variables: {
+          name: user.name,
+          resetUrl: `bachatguru://reset-password/${resetToken}`,
+          expiresIn: "1 hour",
         },
       });
 
-      const resetUrl = `bachatguru://reset-password/${resetToken}`;
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: "Bachat Guru Password Reset",
-        text: `Click this link to reset your password: ${resetUrl}\nThis link expires in 1 hour.`,
-      };
-
-      await transporter.sendMail(mailOptions);
-
       res
         .status(200)
         .json({ message: "If the email exists, a reset link has been sent" });
@@ -173,6 +437,7 @@ userController.post(
     check("password")
       .isLength({ min: 6 })
       .withMessage("Password must be at least 6 characters"),
+    attemptLimiter("reset-password"),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -182,26 +447,44 @@ userController.post(
 
     const { token } = req.params;
     const { password } = req.body;
+    const [selector, verifier] = token.split(".");
 
     try {
+      if (!selector || !verifier) {
+        await req.attempts.fail();
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset token" });
+      }
+
       const resetToken = await PasswordResetToken.findOne({
+        selector,
         expiresAt: { $gt: new Date() },
       }).populate("userId");
 
-      console.log("Provided Token:", token);
-      console.log("Stored Token Hash:", resetToken?.token);
-      console.log("Token Exists and Not Expired:", !!resetToken);
-
       if (!resetToken || !resetToken.userId) {
+        await req.attempts.fail();
         return res
           .status(400)
           .json({ message: "Invalid or expired reset token" });
       }
 
-      const isValid = await bcrypt.compare(token, resetToken.token);
-      console.log("Token Match:", isValid);
-
+      const isValid = crypto.timingSafeEqual(
+        Buffer.from(hashToken(verifier)),
+        Buffer.from(resetToken.verifierHash)
+      );
       if (!isValid) {
+        await req.attempts.fail();
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset token" });
+      }
+
+      // Consume the token first so a concurrent request cannot use it too
+      const consumed = await PasswordResetToken.findOneAndDelete({
+        _id: resetToken._id,
+      });
+      if (!consumed) {
         return res
           .status(400)
           .json({ message: "Invalid or expired reset token" });
@@ -210,10 +493,12 @@ userController.post(
       const hashedPassword = await bcrypt.hash(password, 10);
       await User.updateOne(
         { _id: resetToken.userId._id },
-        { $set: { password: hashedPassword } }
+        { $set: { password: hashedPassword }, $inc: { tokenVersion: 1 } }
       );
 
-      await PasswordResetToken.deleteOne({ _id: resetToken._id });
+      // Sign out every device and revoke access tokens, the old password may have been compromised
+      await Session.deleteMany({ userId: resetToken.userId._id });
+      await PersonalAccessToken.deleteMany({ userId: resetToken.userId._id });
 
       res.json({ message: "Password reset successfully" });
     } catch (error) {
@@ -223,87 +508,971 @@ userController.post(
   }
 );
 
+// Verify email address from the emailed link
+userController.get("/verify-email/:token", async (req, res) => {
+  const { token } = req.params;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ message: "Invalid or expired verification link" });
+  }
+  if (decoded.purpose !== "verify-email") {
+    return res
+      .status(400)
+      .json({ message: "Invalid or expired verification link" });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId);
+    // The link is void once the address on the account has changed
+    if (!user || user.email !== decoded.email) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    if (!user.verified) {
+      user.verified = true;
+      await user.save();
+    }
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify Email Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Resend the verification email
+userController.post(
+  "/resend-verification",
+  [check("email").isEmail().withMessage("Valid email is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    try {
+      const user = await User.findOne({ email });
+      if (user && !user.verified) {
+        await sendVerificationEmail(user);
+      }
+
+      res.json({
+        message:
+          "If the email belongs to an unverified account, a verification link has been sent",
+      });
+    } catch (error) {
+      console.error("Resend Verification Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
 // Get User Profile
 userController.get("/user", authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select("name email");
+    const user = await User.findById(req.user.userId).select(
+      "name email verified twoFactor.enabled preferences deletionScheduledAt"
+    );
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
-    res.json({ name: user.name, email: user.email });
+    res.json({
+      name: user.name,
+      email: user.email,
+      verified: user.verified,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      preferences: resolvePreferences(user),
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
   } catch (error) {
     console.error("Get User Error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Input validation for changing password
-const changePasswordValidation = [
-  check("currentPassword")
+// Input validation for updating the profile
+const updateProfileValidation = [
+  check("name")
+    .optional()
+    .trim()
     .notEmpty()
-    .withMessage("Current password is required"),
-  check("newPassword")
-    .isLength({ min: 6 })
-    .withMessage("New password must be at least 6 characters long"),
-  check("confirmPassword")
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 255 })
+    .withMessage("Name must be at most 255 characters"),
+  check("email").optional().isEmail().withMessage("Valid email is required"),
+  check("currentPassword")
+    // Only needed when the address actually changes, clients may send back the same one
+    .if(async (value, { req }) => {
+      const newEmail = req.body.email?.trim().toLowerCase();
+      const user = newEmail && (await User.findById(req.user.userId).select("email"));
+      if (!user || newEmail === user.email) {
+        throw new Error("Email unchanged");
+      }
+    })
     .notEmpty()
-    .withMessage("Confirm password is required"),
+    .withMessage("Current password is required to change email"),
+  check("preferences")
+    .optional()
+    .isObject()
+    .withMessage("Preferences must be an object"),
+  check("preferences.currency")
+    .optional()
+    .custom((value) => isValidCurrency(String(value).toUpperCase()))
+    .withMessage("Invalid currency code"),
+  check("preferences.locale")
+    .optional()
+    .custom((value) => isValidLocale(value))
+    .withMessage("Invalid locale"),
+  check("preferences.timezone")
+    .optional()
+    .custom((value) => isValidTimeZone(value))
+    .withMessage("Invalid timezone"),
+  check("preferences.weekStartDay")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Week start day must be between 0 (Sunday) and 6 (Saturday)"),
+  check("preferences.dateFormat")
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage(`Date format must be one of ${DATE_FORMATS.join(", ")}`),
+  check("preferences.defaultPaymentMethod")
+    .optional()
+    .isIn(["cash", "card", "bank", "mobile"])
+    .withMessage("Invalid payment method"),
 ];
 
-// Change password endpoint
-userController.post(
-  "/change-password",
-  [authMiddleware, changePasswordValidation],
+// Update profile and preferences
+userController.patch(
+  "/user",
+  [authMiddleware, updateProfileValidation],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { currentPassword, newPassword, confirmPassword } = req.body;
-    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const { name, email, currentPassword, preferences } = req.body;
 
     try {
-      // Find the user
-      const user = await User.findById(userId);
+      const user = await User.findById(req.user.userId);
       if (!user) {
         return res.status(404).json({ message: "User not found" });
       }
 
-      // Validate current password
-      const isMatch = await bcrypt.compare(currentPassword, user.password);
-      if (!isMatch) {
-        return res
-          .status(400)
-          .json({ message: "Current password is incorrect" });
+      if (name !== undefined) user.name = name;
+
+      const newEmail = email?.trim().toLowerCase();
+      const emailChanged = newEmail !== undefined && newEmail !== user.email;
+      if (emailChanged) {
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+          return res
+            .status(400)
+            .json({ message: "Current password is incorrect" });
+        }
+
+        const existingUser = await User.findOne({ email: newEmail });
+        if (existingUser) {
+          return res.status(400).json({ message: "Email is already in use" });
+        }
+
+        // The new address has to be confirmed again
+        user.email = newEmail;
+        user.verified = false;
       }
 
-      // Validate new password matches confirmation
-      if (newPassword !== confirmPassword) {
+      if (preferences) {
+        for (const key of [
+          "currency",
+          "locale",
+          "timezone",
+          "weekStartDay",
+          "dateFormat",
+          "defaultPaymentMethod",
+        ]) {
+          if (preferences[key] !== undefined) {
+            user.preferences[key] = preferences[key];
+          }
+        }
+      }
+
+      await user.save();
+
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (error) {
+          console.error("Send Verification Email Error:", error);
+        }
+      }
+
+      res.json({
+        message: emailChanged
+          ? "Profile updated successfully. Please verify your new email."
+          : "Profile updated successfully",
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          verified: user.verified,
+          preferences: resolvePreferences(user),
+        },
+      });
+    } catch (error) {
+      console.error("Update User Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Delete account - Schedules the purge after a grace period
+userController.delete(
+  "/user",
+  [
+    authMiddleware,
+    check("password").notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: "Password is incorrect" });
+      }
+      if (
+        user.twoFactor?.enabled &&
+        !verifySecondFactor(user, { code, recoveryCode })
+      ) {
         return res
           .status(400)
-          .json({ message: "New password and confirmation do not match" });
+          .json({ message: "Invalid authentication code" });
       }
 
-      // Hash the new password
-      const salt = await bcrypt.genSalt(10);
-      user.password = await bcrypt.hash(newPassword, salt);
-
-      // Save the updated user
+      if (!user.deletionScheduledAt) {
+        user.deletionScheduledAt = new Date(
+          Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+        );
+      }
       await user.save();
 
-      // Optionally: Invalidate the current token (force logout)
-      // In a real app, you might want to store tokens in a database and invalidate them here.
-      // For simplicity, we'll just return a success message and let the frontend handle logout.
+      try {
+        await sendMail({
+          to: user.email,
+          template: "accountDeletionScheduled",
+          variables: {
+            name: user.name,
+            deletionDate: user.deletionScheduledAt.toDateString(),
+          },
+        });
+      } catch (error) {
+        console.error("Deletion Email Error:", error);
+      }
 
       res.json({
-        message: "Password changed successfully. Please log in again.",
+        message:
+          "Account deletion scheduled. Log in and cancel before the date to keep your account.",
+        deletionScheduledAt: user.deletionScheduledAt,
       });
     } catch (error) {
-      console.error("Change Password Error:", error);
+      console.error("Delete User Error:", error);
       res.status(500).json({ message: "Server error", error: error.message });
     }
   }
 );
 
+// Cancel a scheduled account deletion
+userController.post("/user/cancel-deletion", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.deletionScheduledAt) {
+      return res
+        .status(400)
+        .json({ message: "No account deletion is scheduled" });
+    }
+
+    user.deletionScheduledAt = null;
+    await user.save();
+
+    res.json({ message: "Account deletion cancelled" });
+  } catch (error) {
+    console.error("Cancel Deletion Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Helper: Public view of an export record
+const formatExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl:
+    dataExport.status === "ready"
+      ? `/api/auth/export/${dataExport._id}/download`
+      : null,
+});
+
+// Export all personal data as a zip archive (JSON, per-entity CSV and a manifest).
+// Small accounts get the file directly, large ones get a 202 and poll for it.
+userController.get("/export", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    // An export left pending by an interrupted build must not block new ones
+    await failStaleExports({ userId });
+    const inProgress = await DataExport.findOne({ userId, status: "pending" });
+    if (inProgress) {
+      return res.status(202).json({
+        message: "An export is already being prepared",
+        export: formatExport(inProgress),
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      userId,
+      expiresAt: new Date(
+        Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+
+    const recordCount = await countUserRecords(userId);
+    if (recordCount > EXPORT_SYNC_MAX_RECORDS) {
+      generateExport(dataExport).catch((error) =>
+        console.error("Background Export Error:", error)
+      );
+      return res.status(202).json({
+        message: "Your export is being prepared. Check its status to download it.",
+        export: formatExport(dataExport),
+      });
+    }
+
+    await generateExport(dataExport);
+    if (dataExport.status !== "ready") {
+      return res
+        .status(500)
+        .json({ message: "Export failed", error: dataExport.error });
+    }
+    res.download(dataExport.filePath, dataExport.fileName);
+  } catch (error) {
+    console.error("Export Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// List the user's exports
+userController.get("/exports", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const exports = await DataExport.find({ userId }).sort({ createdAt: -1 });
+    res.json({ exports: exports.map(formatExport) });
+  } catch (error) {
+    console.error("Get Exports Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get the status of an export
+userController.get("/export/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const dataExport = await DataExport.findOne({ _id: id, userId });
+    if (!dataExport) {
+      return res
+        .status(404)
+        .json({ message: "Export not found or not authorized" });
+    }
+    res.json({ export: formatExport(dataExport) });
+  } catch (error) {
+    console.error("Get Export Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid export ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Download a ready export
+userController.get("/export/:id/download", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const dataExport = await DataExport.findOne({ _id: id, userId });
+    if (!dataExport) {
+      return res
+        .status(404)
+        .json({ message: "Export not found or not authorized" });
+    }
+    if (dataExport.status !== "ready") {
+      return res.status(409).json({
+        message: "Export is not ready yet",
+        export: formatExport(dataExport),
+      });
+    }
+    res.download(dataExport.filePath, dataExport.fileName);
+  } catch (error) {
+    console.error("Download Export Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid export ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Input validation for changing password
+const changePasswordValidation = [
+  check("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  check("newPassword")
+    .isLength({ min: 6 })
+    .withMessage("New password must be at least 6 characters long"),
+  check("confirmPassword")
+    .notEmpty()
+    .withMessage("Confirm password is required"),
+];
+
+// Change password endpoint
+userController.post(
+  "/change-password",
+  [authMiddleware, changePasswordValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    try {
+      // Find the user
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      // Validate current password
+      const isMatch = await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch) {
+        return res
+          .status(400)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      // Validate new password matches confirmation
+      if (newPassword !== confirmPassword) {
+        return res
+          .status(400)
+          .json({ message: "New password and confirmation do not match" });
+      }
+
+      // Hash the new password
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(newPassword, salt);
+
+      // Invalidate every access token issued before the change
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+
+      // Save the updated user
+      await user.save();
+
+      // Sign out every other device, the current one stays logged in. Personal access
+      // tokens are revoked too, as on a reset, the old password may have been compromised.
+      await Session.deleteMany({
+        userId,
+        _id: { $ne: req.user.sessionId },
+      });
+      await PersonalAccessToken.deleteMany({ userId });
+
+      res.json({
+        message:
+          "Password changed successfully. All other sessions and access tokens have been revoked.",
+        token: signAccessToken(user, req.user.sessionId),
+      });
+    } catch (error) {
+      console.error("Change Password Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Exchange a refresh token for a new token pair (the refresh token is rotated)
+userController.post(
+  "/refresh",
+  [check("refreshToken").notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [sessionId, secret] = String(req.body.refreshToken).split(".");
+
+    try {
+      if (!mongoose.isValidObjectId(sessionId) || !secret) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      const session = await Session.findOne({
+        _id: sessionId,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!session) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      if (session.refreshTokenHash !== hashToken(secret)) {
+        // A rotated-out token was replayed, assume it leaked and end the session
+        await Session.deleteOne({ _id: session._id });
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      const user = await User.findById(session.userId).select("tokenVersion");
+      if (!user) {
+        await Session.deleteOne({ _id: session._id });
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      const newSecret = crypto.randomBytes(32).toString("hex");
+      session.refreshTokenHash = hashToken(newSecret);
+      session.lastUsedAt = new Date();
+      session.expiresAt = refreshTokenExpiry();
+      session.ip = req.ip;
+      await session.save();
+
+      res.json({
+        message: "Token refreshed successfully",
+        token: signAccessToken(user, session._id),
+        refreshToken: `${session._id}.${newSecret}`,
+      });
+    } catch (error) {
+      console.error("Refresh Token Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Logout - End the current session
+userController.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await Session.deleteOne({
+      _id: req.user.sessionId,
+      userId: req.user.userId,
+    });
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// List the user's active sessions (signed-in devices)
+userController.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const sessions = await Session.find({
+      userId,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get Sessions Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke all sessions except the current one
+userController.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const result = await Session.deleteMany({
+      userId,
+      _id: { $ne: req.user.sessionId },
+    });
+    res.json({
+      message: "Other sessions revoked successfully",
+      revoked: result.deletedCount,
+    });
+  } catch (error) {
+    console.error("Revoke Sessions Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke a single session (e.g. a lost phone)
+userController.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const session = await Session.findOneAndDelete({ _id: id, userId });
+
+    if (!session) {
+      return res
+        .status(404)
+        .json({ message: "Session not found or not authorized" });
+    }
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Revoke Session Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Start 2FA enrollment - Returns a secret and otpauth URI for the authenticator app
+userController.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (isRestricted(user, "two_factor")) {
+      return res
+        .status(403)
+        .json({ message: "Please verify your email first" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: "Scan the QR code and confirm with a code from your app",
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("2FA Setup Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Confirm 2FA enrollment with a first code - Returns the recovery codes once
+userController.post(
+  "/2fa/confirm",
+  [
+    authMiddleware,
+    check("code").notEmpty().withMessage("Authentication code is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+      if (!user.twoFactor?.pendingSecret) {
+        return res
+          .status(400)
+          .json({ message: "Start two-factor setup first" });
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res
+          .status(400)
+          .json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = null;
+      user.twoFactor.recoveryCodes = hashes;
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("2FA Confirm Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Input validation for actions that need the password and a second factor
+const twoFactorManageValidation = [
+  check("password").notEmpty().withMessage("Password is required"),
+  check("code")
+    .if((value, { req }) => !req.body.recoveryCode)
+    .notEmpty()
+    .withMessage("Authentication code or recovery code is required"),
+];
+
+// Disable 2FA
+userController.post(
+  "/2fa/disable",
+  [authMiddleware, twoFactorManageValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (!user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: "Password is incorrect" });
+      }
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        return res
+          .status(400)
+          .json({ message: "Invalid authentication code" });
+      }
+
+      user.twoFactor = {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        recoveryCodes: [],
+        lastUsedStep: null,
+      };
+      await user.save();
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("2FA Disable Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Regenerate recovery codes (old codes stop working)
+userController.post(
+  "/2fa/recovery-codes",
+  [authMiddleware, twoFactorManageValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (!user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: "Password is incorrect" });
+      }
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        return res
+          .status(400)
+          .json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = hashes;
+      await user.save();
+
+      res.json({
+        message: "Recovery codes regenerated",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("2FA Recovery Codes Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Input validation for creating a personal access token
+const accessTokenValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Token name is required")
+    .isLength({ max: 100 })
+    .withMessage("Token name must be at most 100 characters"),
+  check("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  check("scopes.*")
+    .isIn(SCOPES)
+    .withMessage(`Scopes must be among: ${SCOPES.join(", ")}`),
+  check("expiresInDays")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("Expiry must be between 1 and 3650 days"),
+];
+
+// Helper: Public view of a personal access token (never includes the secret)
+const formatAccessToken = (accessToken) => ({
+  _id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt,
+});
+
+// Create a personal access token - The token is only shown in this response
+userController.post(
+  "/tokens",
+  [authMiddleware, accessTokenValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    try {
+      const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto
+        .randomBytes(32)
+        .toString("hex")}`;
+      const accessToken = await PersonalAccessToken.create({
+        userId: req.user.userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null,
+      });
+
+      res.status(201).json({
+        message: "Access token created. Copy it now, it will not be shown again.",
+        token,
+        accessToken: formatAccessToken(accessToken),
+      });
+    } catch (error) {
+      console.error("Create Access Token Error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// List personal access tokens
+userController.get("/tokens", authMiddleware, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const accessTokens = await PersonalAccessToken.find({ userId }).sort({
+      createdAt: -1,
+    });
+    res.json({ accessTokens: accessTokens.map(formatAccessToken), scopes: SCOPES });
+  } catch (error) {
+    console.error("Get Access Tokens Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke a personal access token
+userController.delete("/tokens/:id", authMiddleware, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const accessToken = await PersonalAccessToken.findOneAndDelete({
+      _id: id,
+      userId,
+    });
+    if (!accessToken) {
+      return res
+        .status(404)
+        .json({ message: "Access token not found or not authorized" });
+    }
+    res.json({ message: "Access token revoked successfully" });
+  } catch (error) {
+    console.error("Revoke Access Token Error:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid access token ID" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
 export default userController;
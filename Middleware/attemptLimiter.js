@@ -0,0 +1,153 @@
+import { AuthAttempt } from "../databaseSchema/database.model.js";
+import { sendMail } from "../Utils/mailer.js";
+
+// Limits are read from the environment; the object can be adjusted in tests
+export const attemptLimits = {
+  maxAccountFailures: Number(process.env.AUTH_MAX_FAILURES) || 5,
+  maxIpFailures: Number(process.env.AUTH_MAX_IP_FAILURES) || 20,
+  lockoutMinutes: Number(process.env.AUTH_LOCKOUT_MINUTES) || 15,
+  windowMinutes: Number(process.env.AUTH_ATTEMPT_WINDOW_MINUTES) || 15,
+  backoffBaseSeconds: Number(process.env.AUTH_BACKOFF_BASE_SECONDS ?? 1), // 0 disables backoff
+  maxBackoffSeconds: Number(process.env.AUTH_MAX_BACKOFF_SECONDS) || 60,
+};
+
+// Helper: Delay required after `failures` consecutive failures (doubles each time)
+const backoffSeconds = (failures) => {
+  if (failures <= 0 || attemptLimits.backoffBaseSeconds <= 0) return 0;
+  return Math.min(
+    attemptLimits.backoffBaseSeconds * 2 ** (failures - 1),
+    attemptLimits.maxBackoffSeconds
+  );
+};
+
+// Seconds until any of the keys may be tried again (0 when allowed)
+export const getRetryAfter = async (keys, now = new Date()) => {
+  const attempts = await AuthAttempt.find({
+    key: { $in: keys.map((entry) => entry.key) },
+    expiresAt: { $gt: now },
+  });
+
+  let retryAfter = 0;
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      retryAfter = Math.max(retryAfter, (attempt.lockedUntil - now) / 1000);
+    } else if (attempt.lastFailureAt) {
+      const allowedAt =
+        attempt.lastFailureAt.getTime() + backoffSeconds(attempt.failures) * 1000;
+      retryAfter = Math.max(retryAfter, (allowedAt - now.getTime()) / 1000);
+    }
+  }
+
+  return Math.ceil(retryAfter);
+};
+
+// Record a failure against one key, locking it once the limit is reached.
+// Returns true when this failure caused a lockout.
+export const recordFailure = async ({ key, maxFailures }, now = new Date()) => {
+  // Attempts whose window has passed start over, even before the TTL monitor removes them
+  await AuthAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+  const attempt = await AuthAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + attemptLimits.windowMinutes * 60 * 1000),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failures < maxFailures) {
+    return false;
+  }
+
+  const lockedUntil = new Date(now.getTime() + attemptLimits.lockoutMinutes * 60 * 1000);
+  await AuthAttempt.updateOne(
+    { _id: attempt._id },
+    {
+      $set: {
+        failures: 0,
+        lastFailureAt: null,
+        lockedUntil,
+        expiresAt: new Date(
+          Math.max(lockedUntil.getTime(), attempt.expiresAt.getTime())
+        ),
+      },
+    }
+  );
+  return true;
+};
+
+// Forget failures for the given keys
+export const clearAttempts = async (keys) => {
+  await AuthAttempt.deleteMany({ key: { $in: keys.map((entry) => entry.key) } });
+};
+
+// Helper: Tell the user their account was temporarily locked
+const notifyLockout = async (user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      template: "accountLocked",
+      variables: {
+        name: user.name,
+        lockoutMinutes: attemptLimits.lockoutMinutes,
+      },
+    });
+  } catch (error) {
+    console.error("Lockout Notification Error:", error);
+  }
+};
+
+// Middleware factory: tracks attempts for `action` per IP and, when `accountKey`
+// returns a value, per account. Rejects with 429 and Retry-After while limited.
+// Handlers report outcomes through req.attempts.fail(user?) and req.attempts.succeed().
+export const attemptLimiter = (action, { accountKey } = {}) => async (req, res, next) => {
+  const ipKey = {
+    key: `ip:${action}:${req.ip}`,
+    maxFailures: attemptLimits.maxIpFailures,
+  };
+  const account = accountKey?.(req);
+  const accountKeyEntry = account
+    ? {
+        key: `account:${action}:${String(account).trim().toLowerCase()}`,
+        maxFailures: attemptLimits.maxAccountFailures,
+      }
+    : null;
+  const keys = accountKeyEntry ? [ipKey, accountKeyEntry] : [ipKey];
+
+  req.attempts = {
+    fail: async (user) => {
+      await recordFailure(ipKey);
+      if (accountKeyEntry) {
+        const locked = await recordFailure(accountKeyEntry);
+        if (locked && user) {
+          await notifyLockout(user);
+        }
+      }
+    },
+    succeed: async () => {
+      if (accountKeyEntry) {
+        await clearAttempts([accountKeyEntry]);
+      }
+    },
+  };
+
+  try {
+    const retryAfter = await getRetryAfter(keys);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+        retryAfter,
+      });
+    }
+  } catch (error) {
+    console.error("Attempt Limiter Error:", error);
+    return res.status(500).json({ message: "Server error", error: error.message });
+  }
+
+  next();
+};
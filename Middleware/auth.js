@@ -1,17 +1,102 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import {
+  Session,
+  User,
+  PersonalAccessToken,
+} from "../databaseSchema/database.model.js";
 
-const authMiddleware = (req, res, next) => {
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "bgp_";
+
+// Helper: Authenticate a personal access token and check it grants the route's scope
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  try {
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const accessToken = await PersonalAccessToken.findOne({ tokenHash });
+    if (
+      !accessToken ||
+      (accessToken.expiresAt && accessToken.expiresAt <= new Date())
+    ) {
+      return res.status(401).json({ message: "Invalid or expired access token" });
+    }
+
+    // Routes without a declared scope (account management) need a login session
+    if (!req.requiredScope) {
+      return res
+        .status(403)
+        .json({ message: "Personal access tokens cannot be used for this endpoint" });
+    }
+    if (!accessToken.scopes.includes(req.requiredScope)) {
+      return res
+        .status(403)
+        .json({ message: `Access token is missing the "${req.requiredScope}" scope` });
+    }
+
+    // Record usage at most once a minute to spare a write per request
+    const now = new Date();
+    if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > 60 * 1000) {
+      await PersonalAccessToken.updateOne(
+        { _id: accessToken._id },
+        { $set: { lastUsedAt: now } }
+      );
+    }
+
+    req.user = {
+      userId: accessToken.userId.toString(),
+      tokenId: accessToken._id.toString(),
+      scopes: accessToken.scopes,
+    };
+    next();
+  } catch (error) {
+    console.error("Auth Middleware Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const authMiddleware = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
   if (!token) {
     return res.status(401).json({ message: "No token, authorization denied" });
   }
+
+  if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+    return authenticatePersonalAccessToken(token, req, res, next);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Adds userId to req.user
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(401).json({ message: "Invalid token" });
+    return res.status(401).json({ message: "Invalid token" });
   }
+
+  // Access tokens are tied to a session so that signing out a device takes effect immediately
+  if (!decoded.sessionId) {
+    return res.status(401).json({ message: "Session expired, please log in again" });
+  }
+
+  try {
+    const session = await Session.findOne({
+      _id: decoded.sessionId,
+      userId: decoded.userId,
+      expiresAt: { $gt: new Date() },
+    }).select("_id");
+    if (!session) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+
+    // Tokens issued before a password change or reset are no longer valid
+    const user = await User.findById(decoded.userId).select("tokenVersion");
+    if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Token has been invalidated, please log in again" });
+    }
+  } catch (error) {
+    console.error("Auth Middleware Error:", error);
+    return res.status(500).json({ message: "Server error", error: error.message });
+  }
+
+  req.user = decoded; // Adds userId and sessionId to req.user
+  next();
 };
 
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
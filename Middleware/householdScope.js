@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { Household } from "../databaseSchema/database.model.js";
+import { ROLE_RANK } from "../Utils/household.js";
+
+// Resolves whether a request acts on the user's personal records or on a household's
+// (householdId in the body or query string) and checks the member's role.
+// Sets req.scope = { userId, householdId, role, filter }, where filter selects the
+// records of that scope and replaces the plain { userId } ownership check.
+const householdScope = (minRole = "viewer") => async (req, res, next) => {
+  const userId = new mongoose.Types.ObjectId(req.user.userId);
+  const householdId = req.body?.householdId || req.query.householdId;
+
+  if (!householdId) {
+    req.scope = {
+      userId,
+      householdId: null,
+      role: "owner",
+      filter: { userId, householdId: null },
+    };
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(householdId)) {
+    return res.status(400).json({ message: "Invalid household ID" });
+  }
+
+  try {
+    const household = await Household.findOne({
+      _id: householdId,
+      "members.userId": userId,
+    });
+    if (!household) {
+      return res.status(404).json({ message: "Household not found or not authorized" });
+    }
+
+    const member = household.members.find((m) => m.userId.equals(userId));
+    if (ROLE_RANK[member.role] < ROLE_RANK[minRole]) {
+      return res
+        .status(403)
+        .json({ message: `This action requires the ${minRole} role in the household` });
+    }
+
+    req.scope = {
+      userId,
+      householdId: household._id,
+      role: member.role,
+      filter: { householdId: household._id },
+    };
+    next();
+  } catch (error) {
+    console.error("Household Scope Error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+export default householdScope;
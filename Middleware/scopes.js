@@ -0,0 +1,28 @@
+// Scopes a personal access token can be granted
+export const RESOURCE_SCOPES = {
+  transactions: ["read"],
+  dashboard: ["read"],
+  expense: ["read", "write"],
+  income: ["read", "write"],
+  category: ["read", "write"],
+  rules: ["read", "write"],
+  budget: ["read", "write"],
+  loan: ["read", "write"],
+  notifications: ["read", "write"],
+  household: ["read", "write"],
+};
+
+export const SCOPES = Object.entries(RESOURCE_SCOPES).flatMap(([resource, actions]) =>
+  actions.map((action) => `${resource}:${action}`)
+);
+
+// Middleware factory: declares the scope a route group needs from a personal access
+// token, GET/HEAD need "<resource>:read" and every other method "<resource>:write".
+// readPaths lists paths within the group that only read whatever the method, e.g. a
+// POST preview. authMiddleware enforces it; session tokens are not scope-limited.
+export const routeScope = (resource, { readPaths = [] } = {}) => (req, res, next) => {
+  const path = req.path.replace(/(.)\/+$/, "$1"); // Routing ignores a trailing slash
+  const action = ["GET", "HEAD"].includes(req.method) || readPaths.includes(path) ? "read" : "write";
+  req.requiredScope = `${resource}:${action}`;
+  next();
+};
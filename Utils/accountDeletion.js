@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { User, AuthAttempt, Attachment, DataExport } from "../databaseSchema/database.model.js";
+import { removeAttachments } from "./attachments.js";
+import { removeExports } from "./dataExport.js";
+import { removeUserFromHouseholds } from "./household.js";
+
+// Days between a deletion request and the purge, during which it can be cancelled
+export const ACCOUNT_DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+// Helper: Escape a string for use in a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Remove a user and everything they own. Every model with a userId path is
+// purged, so collections added later are covered without changes here.
+// Records the user added to a shared household stay with the household.
+export const purgeUser = async (user) => {
+  const userId = new mongoose.Types.ObjectId(user._id);
+  const deleted = {};
+
+  // Export archives and attachment files are stored outside the database too
+  await removeExports(await DataExport.find({ userId }));
+  await removeAttachments(await Attachment.find({ userId, householdId: null }));
+
+  await removeUserFromHouseholds(userId);
+
+  for (const name of mongoose.modelNames()) {
+    const model = mongoose.model(name);
+    if (model === User || !model.schema.path("userId")) continue;
+    const filter = model.schema.path("householdId")
+      ? { userId, householdId: null }
+      : { userId };
+    const result = await model.deleteMany(filter);
+    deleted[model.collection.collectionName] = result.deletedCount;
+  }
+
+  // Attempt counters are keyed by email or user id rather than a userId field
+  await AuthAttempt.deleteMany({
+    key: {
+      $regex: `^account:[^:]+:(${escapeRegExp(user.email)}|${userId})$`,
+    },
+  });
+
+  await User.deleteOne({ _id: userId });
+  return deleted;
+};
+
+// Purge every account whose grace period has ended
+export const processScheduledDeletions = async (now = new Date()) => {
+  const users = await User.find({
+    deletionScheduledAt: { $ne: null, $lte: now },
+  }).select("_id email");
+
+  for (const user of users) {
+    await purgeUser(user);
+  }
+  return users.length;
+};
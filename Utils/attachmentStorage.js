@@ -0,0 +1,52 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import * as dotenv from "dotenv";
+dotenv.config();
+
+// Where attachment files are kept. ATTACHMENT_STORAGE picks the backend:
+//   local - files under ATTACHMENT_DIR on this server's disk (default)
+// A backend stores opaque keys and provides:
+//   save(key, buffer), createReadStream(key), remove(key)
+// Other backends (e.g. an object store) are added to STORAGE_BACKENDS.
+const ATTACHMENT_STORAGE = (process.env.ATTACHMENT_STORAGE || "local").toLowerCase();
+const ATTACHMENT_DIR = path.resolve(process.env.ATTACHMENT_DIR || "attachments");
+
+// Helper: Path of a key inside the attachment directory, keys never leave it
+const localPath = (key) => {
+  const filePath = path.resolve(ATTACHMENT_DIR, key);
+  if (!filePath.startsWith(ATTACHMENT_DIR + path.sep)) {
+    throw new Error(`Invalid attachment key: ${key}`);
+  }
+  return filePath;
+};
+
+const createLocalStorage = () => ({
+  save: async (key, buffer) => {
+    const filePath = localPath(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer);
+  },
+  createReadStream: (key) => fs.createReadStream(localPath(key)),
+  remove: async (key) => {
+    await fsPromises.rm(localPath(key), { force: true });
+  },
+});
+
+const STORAGE_BACKENDS = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+// The configured storage backend, created on first use
+export const getAttachmentStorage = () => {
+  if (storage) return storage;
+
+  const createStorage = STORAGE_BACKENDS[ATTACHMENT_STORAGE];
+  if (!createStorage) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE: ${ATTACHMENT_STORAGE}`);
+  }
+  storage = createStorage();
+  return storage;
+};
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
+import { Attachment } from "../databaseSchema/database.model.js";
+import { getAttachmentStorage } from "./attachmentStorage.js";
+
+export const ATTACHMENT_MAX_BYTES =
+  (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+export const ATTACHMENTS_PER_RECORD = Number(process.env.ATTACHMENTS_PER_RECORD) || 10;
+// Longest side of a preview, thumbnail metadata is scaled to fit it
+export const THUMBNAIL_MAX_SIZE = 256;
+
+// Accepted file types, recognised by their leading bytes rather than the declared type
+const FILE_SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    mimeType: "image/png",
+    matches: (data) => data.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  },
+  {
+    mimeType: "image/webp",
+    matches: (data) =>
+      data.toString("latin1", 0, 4) === "RIFF" && data.toString("latin1", 8, 12) === "WEBP",
+  },
+  {
+    mimeType: "image/heic",
+    matches: (data) =>
+      data.toString("latin1", 4, 8) === "ftyp" &&
+      ["heic", "heix", "mif1"].includes(data.toString("latin1", 8, 12)),
+  },
+  {
+    mimeType: "application/pdf",
+    matches: (data) => data.toString("latin1", 0, 5) === "%PDF-",
+  },
+];
+export const ALLOWED_MIME_TYPES = FILE_SIGNATURES.map(({ mimeType }) => mimeType);
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/heic": ".heic",
+  "application/pdf": ".pdf",
+};
+
+// Type of an uploaded file from its content, null when it is not an accepted type
+export const detectMimeType = (data) =>
+  FILE_SIGNATURES.find(({ matches }) => data.length >= 12 && matches(data))?.mimeType || null;
+
+// Helper: Width and height from a JPEG's start-of-frame marker
+const jpegDimensions = (data) => {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+// Helper: Width and height from a WebP's first chunk
+const webpDimensions = (data) => {
+  if (data.length < 30) return null;
+  switch (data.toString("latin1", 12, 16)) {
+    case "VP8 ":
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    case "VP8L": {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case "VP8X":
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+// Dimensions of an image upload, null for documents and images we cannot read
+export const imageDimensions = (data, mimeType) => {
+  try {
+    switch (mimeType) {
+      case "image/png":
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+      case "image/jpeg":
+        return jpegDimensions(data);
+      case "image/webp":
+        return webpDimensions(data);
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+};
+
+// Preview size of an image, scaled down to fit THUMBNAIL_MAX_SIZE
+export const thumbnailSize = ({ width, height }) => {
+  const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+// Helper: File name safe to store and send back in Content-Disposition
+const cleanFileName = (fileName, mimeType) => {
+  const name = path
+    .basename(String(fileName || ""))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, "")
+    .trim()
+    .slice(0, 200);
+  return name || `attachment${EXTENSIONS[mimeType]}`;
+};
+
+// Store an uploaded file for a record (`owner`, an income, expense or loan document)
+export const saveAttachment = async ({ ownerType, owner, userId, fileName, mimeType, data }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const storageKey = `${ownerType}/${owner._id}/${_id}${EXTENSIONS[mimeType]}`;
+  const image = imageDimensions(data, mimeType);
+
+  await getAttachmentStorage().save(storageKey, data);
+  try {
+    return await Attachment.create({
+      _id,
+      userId,
+      householdId: owner.householdId || null,
+      ownerType,
+      ownerId: owner._id,
+      fileName: cleanFileName(fileName, mimeType),
+      mimeType,
+      size: data.length,
+      checksum: crypto.createHash("sha256").update(data).digest("hex"),
+      storageKey,
+      image,
+      thumbnail: image && thumbnailSize(image),
+    });
+  } catch (error) {
+    await getAttachmentStorage().remove(storageKey);
+    throw error;
+  }
+};
+
+// Delete attachments together with their stored files
+export const removeAttachments = async (attachments) => {
+  for (const attachment of attachments) {
+    await getAttachmentStorage().remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({ _id: { $in: attachments.map((item) => item._id) } });
+};
+
+// Delete every attachment of the given records, e.g. when the records are deleted
+export const removeAttachmentsOf = async (ownerType, ownerIds) => {
+  const attachments = await Attachment.find({ ownerType, ownerId: { $in: ownerIds } });
+  await removeAttachments(attachments);
+  return attachments.length;
+};
@@ -0,0 +1,112 @@
+import { Budget, Expense, Household, Notification } from "../databaseSchema/database.model.js";
+import { getAncestorIds, getCategoryWithDescendantIds } from "./category.js";
+import {
+  expenseCategoryFilter,
+  expenseCategoryIds,
+  expenseLineStages,
+} from "./expenseSplits.js";
+import { ROLE_RANK, ownerFilter } from "./household.js";
+import { createPreferencesLoader, formatMoney } from "./preferences.js";
+
+// Total spent against a budget, a budget on a parent category covers its subcategories.
+// Split expenses only count the lines in the budget's categories.
+export const getBudgetSpent = async (budget) => {
+  const categoryIds = await getCategoryWithDescendantIds(
+    budget.categoryId?._id || budget.categoryId
+  );
+  const result = await Expense.aggregate([
+    {
+      $match: {
+        ...ownerFilter(budget),
+        ...expenseCategoryFilter(categoryIds),
+        date: { $gte: budget.startDate, $lte: budget.endDate },
+      },
+    },
+    ...expenseLineStages(categoryIds),
+    { $group: { _id: null, spent: { $sum: "$amount" } } },
+  ]);
+  return result[0]?.spent || 0;
+};
+
+// Budgets an expense in `categoryId` on `date` counts against: the category's own
+// budgets and those of its parent categories
+export const findBudgetsCovering = async (filter, categoryId, date) => {
+  const ancestorIds = await getAncestorIds(categoryId);
+  return Budget.find({
+    ...filter,
+    categoryId: { $in: [categoryId, ...ancestorIds] },
+    startDate: { $lte: new Date(date) },
+    endDate: { $gte: new Date(date) },
+  }).populate("categoryId");
+};
+
+// Budgets an expense counts against, through its own category or any of its split lines
+export const findBudgetsForExpense = async (filter, expense) => {
+  const budgets = new Map();
+  for (const categoryId of expenseCategoryIds(expense)) {
+    for (const budget of await findBudgetsCovering(filter, categoryId, expense.date)) {
+      budgets.set(budget._id.toString(), budget);
+    }
+  }
+  return [...budgets.values()];
+};
+
+// Helper: Users told about a budget: every member of its household, or its owner
+const budgetRecipients = async (budget) => {
+  if (!budget.householdId) return [budget.userId];
+  const household = await Household.findById(budget.householdId).select("members");
+  return (household?.members || [])
+    .filter((member) => ROLE_RANK[member.role] >= ROLE_RANK.viewer)
+    .map((member) => member.userId);
+};
+
+// Create or clear the unread overrun notifications of a budget's users to match its
+// current spending. Amounts are formatted with each user's own preferences.
+export const syncBudgetOverrun = async (budget, loadPreferences = createPreferencesLoader()) => {
+  const spent = await getBudgetSpent(budget);
+
+  if (spent > budget.amount) {
+    for (const userId of await budgetRecipients(budget)) {
+      const existingNotification = await Notification.findOne({
+        userId,
+        type: "budget_overrun",
+        relatedId: budget._id,
+        read: false,
+      });
+
+      if (!existingNotification) {
+        const preferences = await loadPreferences(userId);
+        await Notification.create({
+          userId,
+          type: "budget_overrun",
+          message: `Your "${budget.budgetName}" budget for ${budget.categoryId?.name || "Unknown"} has been exceeded (Spent: ${formatMoney(spent, preferences)}, Budget: ${formatMoney(budget.amount, preferences)})`,
+          relatedId: budget._id,
+        });
+      }
+    }
+  } else {
+    await Notification.deleteMany({
+      type: "budget_overrun",
+      relatedId: budget._id,
+      read: false,
+    });
+  }
+
+  return spent;
+};
+
+// Bring the overrun notifications of every budget the expenses count against up to
+// date, each budget once. Returns how many budgets were checked.
+export const syncBudgetsForExpenses = async (filter, expenses) => {
+  const loadPreferences = createPreferencesLoader();
+  const budgets = new Map();
+  for (const expense of expenses) {
+    for (const budget of await findBudgetsForExpense(filter, expense)) {
+      budgets.set(budget._id.toString(), budget);
+    }
+  }
+  for (const budget of budgets.values()) {
+    await syncBudgetOverrun(budget, loadPreferences);
+  }
+  return budgets.size;
+};
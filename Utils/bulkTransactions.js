@@ -0,0 +1,250 @@
+import { check, validationResult } from "express-validator";
+import { Category } from "../databaseSchema/database.model.js";
+import { PAYMENT_METHODS } from "./transactionQuery.js";
+
+// Bulk operations on incomes or expenses, POST /api/income/bulk and /api/expense/bulk:
+//   { action: "create", items: [<same body as a single create>, ...] }
+//   { action: "recategorize", ids: [...], categoryId }
+//   { action: "setPaymentMethod", ids: [...], paymentMethod }
+//   { action: "delete", ids: [...] }                 moves them to the trash
+// mode "atomic" (default) applies every item or none of them, "partial" applies the
+// valid items and reports the others. Each item gets a result in request order.
+
+export const BULK_ACTIONS = ["create", "recategorize", "setPaymentMethod", "delete"];
+export const BULK_MODES = ["atomic", "partial"];
+export const MAX_BULK_ITEMS = Number(process.env.MAX_BULK_ITEMS) || 500;
+
+// Input validation for a bulk request of `transactionType` ("income" or "expense")
+export const bulkValidation = (transactionType) => [
+  check("action")
+    .isIn(BULK_ACTIONS)
+    .withMessage(`action must be one of: ${BULK_ACTIONS.join(", ")}`),
+  check("mode")
+    .optional()
+    .isIn(BULK_MODES)
+    .withMessage("mode must be atomic or partial"),
+  check("items")
+    .if((value, { req }) => req.body.action === "create")
+    .isArray({ min: 1, max: MAX_BULK_ITEMS })
+    .withMessage(`items must list 1 to ${MAX_BULK_ITEMS} transactions`),
+  check("ids")
+    .if((value, { req }) => req.body.action !== "create")
+    .isArray({ min: 1, max: MAX_BULK_ITEMS })
+    .withMessage(`ids must list 1 to ${MAX_BULK_ITEMS} transaction IDs`),
+  check("categoryId")
+    .if((value, { req }) => req.body.action === "recategorize")
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
+    .custom(async (value, { req }) => {
+      const category = await Category.findOne({
+        _id: value,
+        ...req.scope.filter,
+        type: transactionType,
+      });
+      if (!category) {
+        throw new Error(`Invalid ${transactionType} category`);
+      }
+      if (category.archived) {
+        throw new Error("Archived categories cannot be used for new transactions");
+      }
+      return true;
+    }),
+  check("paymentMethod")
+    .if((value, { req }) => req.body.action === "setPaymentMethod")
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Invalid payment method"),
+];
+
+// Helper: Validation errors of one item, checked as the body of a single create
+const validateItem = async (item, chains, req) => {
+  const itemRequest = {
+    body: item && typeof item === "object" ? item : {},
+    params: {},
+    query: {},
+    headers: {},
+    cookies: {},
+    method: "POST",
+    user: req.user,
+    scope: req.scope,
+  };
+  for (const chain of chains) {
+    await chain.run(itemRequest);
+  }
+  return validationResult(itemRequest).array();
+};
+
+// Helper: Each item's record or errors for a create: { record?, errors? }
+const prepareCreates = async (req, { itemValidation, buildRecord }) => {
+  const prepared = [];
+  for (const item of req.body.items) {
+    const errors = await validateItem(item, itemValidation, req);
+    if (errors.length) {
+      prepared.push({ errors });
+      continue;
+    }
+    const { record, error } = await buildRecord(item);
+    prepared.push(error ? { errors: [{ msg: error }] } : { record });
+  }
+  return prepared;
+};
+
+// Helper: Each ID's stored record or errors for the other actions: { record?, errors? }
+const prepareUpdates = async (req, { model, checkRecord }) => {
+  const { ids, action } = req.body;
+  const validIds = ids.filter((id) => typeof id === "string" && /^[a-f\d]{24}$/i.test(id));
+  const records = await model.find({ _id: { $in: validIds }, ...req.scope.filter });
+  const byId = new Map(records.map((record) => [record._id.toString(), record]));
+
+  const seen = new Set();
+  return ids.map((id) => {
+    const key = String(id).toLowerCase();
+    if (!validIds.includes(id)) return { id, errors: [{ msg: "Invalid transaction ID" }] };
+    if (seen.has(key)) return { id, errors: [{ msg: "Duplicate transaction ID" }] };
+    seen.add(key);
+
+    const record = byId.get(key);
+    if (!record) return { id, errors: [{ msg: "Transaction not found or not authorized" }] };
+    const problem = checkRecord?.(record, action);
+    return problem ? { id, errors: [{ msg: problem }] } : { id, record };
+  });
+};
+
+// Helper: The $set an action on existing records applies
+const updateFor = (req) => {
+  switch (req.body.action) {
+    case "recategorize":
+      return { categoryId: req.body.categoryId };
+    case "setPaymentMethod":
+      return { paymentMethod: req.body.paymentMethod };
+    default:
+      return { deletedAt: new Date() };
+  }
+};
+
+// Helper: Apply every prepared item with batched writes. MongoDB may run without
+// transactions here, so a failed write is undone from the records read beforehand.
+const applyAtomically = async (model, action, update, records) => {
+  const ids = records.map((record) => record._id);
+
+  if (action === "create") {
+    try {
+      await model.insertMany(records, { ordered: true });
+    } catch (error) {
+      await model.deleteMany({ _id: { $in: ids } });
+      throw error;
+    }
+  } else {
+    try {
+      await model.updateMany({ _id: { $in: ids } }, { $set: update });
+    } catch (error) {
+      await model.bulkWrite(
+        records.map((record) => ({
+          updateOne: {
+            filter: { _id: record._id },
+            update: {
+              $set: Object.fromEntries(Object.keys(update).map((key) => [key, record[key]])),
+            },
+          },
+        }))
+      );
+      throw error;
+    }
+  }
+};
+
+// Helper: Apply one prepared item on its own, returning its error message if it fails
+const applyOne = async (model, action, update, record) => {
+  try {
+    if (action === "create") {
+      await record.save();
+    } else {
+      await model.updateOne({ _id: record._id }, { $set: update });
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const APPLIED_STATUS = {
+  create: "created",
+  recategorize: "updated",
+  setPaymentMethod: "updated",
+  delete: "deleted",
+};
+
+// Run a validated bulk request against `model`.
+//   itemValidation  validation chains of a single create
+//   buildRecord     async (item) => { record } (unsaved) or { error }
+//   checkRecord     (record, action) => message when the action cannot touch the record
+//   trackChanges    whether to return the records changed, e.g. to find the budgets affected
+// Returns { response }: the response body, and with trackChanges { before, after } too:
+// the records as they were before (updated or deleted ones) and after (created or
+// updated ones) the changes that were applied.
+export const runBulkOperation = async (
+  req,
+  { model, itemValidation, buildRecord, checkRecord, trackChanges = false }
+) => {
+  const { action, mode = "atomic" } = req.body;
+  const update = action === "create" ? null : updateFor(req);
+
+  const prepared =
+    action === "create"
+      ? await prepareCreates(req, { itemValidation, buildRecord })
+      : await prepareUpdates(req, { model, checkRecord });
+
+  const results = prepared.map(({ id, errors }, index) => ({
+    index,
+    ...(id !== undefined && { _id: id }),
+    status: errors ? "failed" : "pending",
+    ...(errors && { errors: errors.map((error) => ({ field: error.path, message: error.msg })) }),
+  }));
+  const valid = prepared.map((item, index) => ({ ...item, index })).filter((item) => item.record);
+  const appliedItems = [];
+
+  if (mode === "atomic") {
+    if (valid.length === prepared.length) {
+      await applyAtomically(model, action, update, valid.map((item) => item.record));
+      appliedItems.push(...valid);
+    }
+  } else {
+    for (const item of valid) {
+      const error = await applyOne(model, action, update, item.record);
+      if (error) {
+        Object.assign(results[item.index], { status: "failed", errors: [{ message: error }] });
+      } else {
+        appliedItems.push(item);
+      }
+    }
+  }
+
+  for (const item of appliedItems) {
+    results[item.index].status = APPLIED_STATUS[action];
+    results[item.index]._id = item.record._id;
+  }
+  for (const result of results) {
+    // Valid items of an atomic batch that was rejected
+    if (result.status === "pending") result.status = "skipped";
+  }
+
+  const response = {
+    action,
+    mode,
+    applied: appliedItems.length > 0,
+    succeeded: appliedItems.length,
+    failed: results.filter((result) => result.status === "failed").length,
+    results,
+  };
+  if (!trackChanges) {
+    return { response };
+  }
+
+  const appliedRecords = appliedItems.map((item) => item.record);
+  const before = action === "create" ? [] : appliedRecords.map((record) => record.toObject());
+  const after =
+    action === "delete"
+      ? []
+      : appliedRecords.map((record) => (update ? record.set(update) : record));
+  return { response, before, after };
+};
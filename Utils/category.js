@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import {
+  Category,
+  CategoryRule,
+  Income,
+  Expense,
+  Budget,
+  Notification,
+  RecurringTransaction,
+} from "../databaseSchema/database.model.js";
+import { expenseCategoryFilter } from "./expenseSplits.js";
+import { ownerFilter } from "./household.js";
+
+// Maximum nesting, counting top-level categories as the first level
+export const MAX_CATEGORY_DEPTH = Number(process.env.MAX_CATEGORY_DEPTH) || 3;
+
+// Helper: Every subcategory below a category, with its distance from it (0 = direct child)
+const getDescendants = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: "categories",
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parentId",
+        as: "descendants",
+        depthField: "depth",
+      },
+    },
+  ]);
+  return result?.descendants || [];
+};
+
+// A category's id followed by the ids of all of its subcategories
+export const getCategoryWithDescendantIds = async (categoryId) => {
+  const descendants = await getDescendants(categoryId);
+  return [
+    new mongoose.Types.ObjectId(categoryId),
+    ...descendants.map((descendant) => descendant._id),
+  ];
+};
+
+// Ids of a category's parents, nearest first
+export const getAncestorIds = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: "categories",
+        startWith: "$parentId",
+        connectFromField: "parentId",
+        connectToField: "_id",
+        as: "ancestors",
+        depthField: "depth",
+      },
+    },
+  ]);
+  return (result?.ancestors || [])
+    .sort((a, b) => a.depth - b.depth)
+    .map((ancestor) => ancestor._id);
+};
+
+// Check that `parentId` may become the parent of a category of `type` within the
+// scope `filter`. `categoryId` is passed when moving an existing category, whose
+// subcategories move along with it. Returns an error message, or null when allowed.
+export const validateCategoryParent = async ({ parentId, type, filter, categoryId = null }) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    return "Invalid parent category ID";
+  }
+
+  const parent = await Category.findOne({ _id: parentId, ...filter });
+  if (!parent) {
+    return "Parent category not found";
+  }
+  if (parent.type !== type) {
+    return "Parent category must have the same type";
+  }
+
+  const ancestorIds = await getAncestorIds(parent._id);
+  if (categoryId && [parent._id, ...ancestorIds].some((id) => id.equals(categoryId))) {
+    return "A category cannot be moved under itself or one of its subcategories";
+  }
+
+  // Levels below the moved category that come along with it
+  const descendants = categoryId ? await getDescendants(categoryId) : [];
+  const subtreeHeight = descendants.length
+    ? Math.max(...descendants.map((descendant) => descendant.depth)) + 1
+    : 0;
+  if (ancestorIds.length + 2 + subtreeHeight > MAX_CATEGORY_DEPTH) {
+    return `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`;
+  }
+  return null;
+};
+
+// Nest a flat list of categories under their parents as `children`
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...(category.toObject ? category.toObject() : category), children: [] },
+    ])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+// Roll per-category amounts up into their top-level categories. `rows` hold
+// { _id: categoryId, [field]: amount }; each returned entry's `field` includes its
+// subcategories' amounts, which are broken down under `subcategories`.
+export const rollupCategoryTotals = (rows, categories, field) => {
+  const totals = new Map(rows.map((row) => [row._id.toString(), row[field]]));
+
+  const toEntry = (node) => {
+    const id = node._id.toString();
+    const subcategories = node.children.map(toEntry).filter(Boolean);
+    if (!totals.has(id) && subcategories.length === 0) {
+      return null;
+    }
+    return {
+      _id: node._id,
+      categoryId: node._id,
+      categoryName: node.name,
+      categoryType: node.type,
+      [field]: subcategories.reduce(
+        (sum, subcategory) => sum + subcategory[field],
+        totals.get(id) || 0
+      ),
+      subcategories,
+    };
+  };
+
+  return buildCategoryTree(categories).map(toEntry).filter(Boolean);
+};
+
+// How a source budget that overlaps a target budget is resolved when categories are merged
+export const BUDGET_CONFLICT_STRATEGIES = ["sum", "keep_target"];
+
+// Number of records referencing any of the given categories. Records in the trash
+// count too, they may still be restored.
+export const countCategoryUsage = async (categoryIds) => {
+  const filter = { categoryId: { $in: categoryIds } };
+  const [incomes, expenses, budgets, recurringTransactions, rules] = await Promise.all([
+    Income.countDocuments(filter).setOptions({ withDeleted: true }),
+    Expense.countDocuments(expenseCategoryFilter(categoryIds)).setOptions({ withDeleted: true }),
+    Budget.countDocuments(filter),
+    RecurringTransaction.countDocuments(filter),
+    CategoryRule.countDocuments({ "actions.categoryId": { $in: categoryIds } }),
+  ]);
+  return {
+    incomes,
+    expenses,
+    budgets,
+    recurringTransactions,
+    rules,
+    total: incomes + expenses + budgets + recurringTransactions + rules,
+  };
+};
+
+// Move every record referencing the source categories onto the target category,
+// including records in the trash.
+// A source budget whose period overlaps a target budget is folded into it: with
+// "sum" its amount is added to the target budget, with "keep_target" it is dropped.
+export const reassignCategory = async (sourceIds, target, { budgetConflict = "sum" } = {}) => {
+  const filter = { categoryId: { $in: sourceIds } };
+  const update = { $set: { categoryId: target._id } };
+
+  const [incomes, expenses, recurringTransactions, rules] = await Promise.all([
+    Income.updateMany(filter, update, { withDeleted: true }),
+    Expense.updateMany(filter, update, { withDeleted: true }),
+    RecurringTransaction.updateMany(filter, update),
+    // Rules filing transactions under a source category file them under the target
+    CategoryRule.updateMany(
+      { "actions.categoryId": { $in: sourceIds } },
+      { $set: { "actions.categoryId": target._id } }
+    ),
+  ]);
+  // Lines of split expenses
+  await Expense.updateMany(
+    { "splits.categoryId": { $in: sourceIds } },
+    { $set: { "splits.$[line].categoryId": target._id } },
+    { arrayFilters: [{ "line.categoryId": { $in: sourceIds } }], withDeleted: true }
+  );
+
+  const budgets = { moved: 0, merged: 0, removed: 0 };
+  const sourceBudgets = await Budget.find(filter).sort({ startDate: 1 });
+  for (const budget of sourceBudgets) {
+    const conflict = await Budget.findOne({
+      ...ownerFilter(budget),
+      categoryId: target._id,
+      startDate: { $lte: budget.endDate },
+      endDate: { $gte: budget.startDate },
+    });
+
+    if (!conflict) {
+      budget.categoryId = target._id;
+      await budget.save();
+      budgets.moved += 1;
+      continue;
+    }
+
+    if (budgetConflict === "sum") {
+      conflict.amount += budget.amount;
+      await conflict.save();
+      budgets.merged += 1;
+    } else {
+      budgets.removed += 1;
+    }
+    await Notification.deleteMany({ type: "budget_overrun", relatedId: budget._id });
+    await Budget.deleteOne({ _id: budget._id });
+  }
+
+  return {
+    incomes: incomes.modifiedCount,
+    expenses: expenses.modifiedCount,
+    recurringTransactions: recurringTransactions.modifiedCount,
+    rules: rules.modifiedCount,
+    budgets,
+  };
+};
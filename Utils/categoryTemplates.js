@@ -0,0 +1,105 @@
+import { Category } from "../databaseSchema/database.model.js";
+import { ownerFilter } from "./household.js";
+
+// Categories every new account starts with
+export const DEFAULT_CATEGORIES = [
+  { name: "Salary", type: "income" },
+  { name: "Business", type: "income" },
+  { name: "Gifts", type: "income" },
+  { name: "Other Income", type: "income" },
+  { name: "Food", type: "expense", subcategories: ["Groceries", "Dining Out"] },
+  { name: "Housing", type: "expense", subcategories: ["Rent", "Utilities"] },
+  { name: "Transport", type: "expense" },
+  { name: "Health", type: "expense" },
+  { name: "Shopping", type: "expense" },
+  { name: "Entertainment", type: "expense" },
+  { name: "Education", type: "expense" },
+  { name: "Other Expenses", type: "expense" },
+];
+
+// Optional sets tailored to common situations, applied on top of what the user has
+export const CATEGORY_TEMPLATES = {
+  student: [
+    { name: "Pocket Money", type: "income" },
+    { name: "Scholarship", type: "income" },
+    { name: "Part-time Job", type: "income" },
+    { name: "Education", type: "expense", subcategories: ["Tuition Fees", "Books & Supplies"] },
+    { name: "Food", type: "expense", subcategories: ["Canteen", "Groceries"] },
+    { name: "Transport", type: "expense" },
+    { name: "Mobile & Internet", type: "expense" },
+    { name: "Entertainment", type: "expense" },
+  ],
+  salaried: [
+    { name: "Salary", type: "income" },
+    { name: "Bonus", type: "income" },
+    { name: "Interest", type: "income" },
+    { name: "Housing", type: "expense", subcategories: ["Rent", "Utilities", "Maintenance"] },
+    { name: "Food", type: "expense", subcategories: ["Groceries", "Dining Out"] },
+    { name: "Transport", type: "expense", subcategories: ["Fuel", "Public Transport"] },
+    { name: "Insurance", type: "expense" },
+    { name: "Savings & Investments", type: "expense" },
+    { name: "Loan Repayment", type: "expense" },
+  ],
+  freelancer: [
+    { name: "Client Payments", type: "income" },
+    { name: "Consulting", type: "income" },
+    { name: "Royalties", type: "income" },
+    {
+      name: "Business Expenses",
+      type: "expense",
+      subcategories: ["Software & Subscriptions", "Equipment", "Coworking"],
+    },
+    { name: "Taxes", type: "expense" },
+    { name: "Mobile & Internet", type: "expense" },
+    { name: "Food", type: "expense", subcategories: ["Groceries", "Dining Out"] },
+    { name: "Health", type: "expense" },
+  ],
+  family: [
+    { name: "Salary", type: "income" },
+    { name: "Rental Income", type: "income" },
+    { name: "Remittance", type: "income" },
+    { name: "Housing", type: "expense", subcategories: ["Rent", "Utilities"] },
+    { name: "Food", type: "expense", subcategories: ["Groceries", "Dining Out"] },
+    { name: "Children", type: "expense", subcategories: ["School Fees", "Childcare"] },
+    { name: "Health", type: "expense", subcategories: ["Medicine", "Doctor Visits"] },
+    { name: "Festivals & Gifts", type: "expense" },
+    { name: "Household Supplies", type: "expense" },
+  ],
+};
+
+export const CATEGORY_TEMPLATE_NAMES = Object.keys(CATEGORY_TEMPLATES);
+
+// Create the categories of a template for an owner ({ userId, householdId }), skipping
+// any the owner already has (same name ignoring case, type and parent).
+// Returns the newly created categories.
+export const applyCategoryTemplate = async (template, { userId, householdId = null }) => {
+  const existing = await Category.find(ownerFilter({ userId, householdId }));
+  const keyOf = (name, type, parentId) =>
+    `${type}:${parentId || ""}:${name.trim().toLowerCase()}`;
+  const byKey = new Map(
+    existing.map((category) => [
+      keyOf(category.name, category.type, category.parentId),
+      category,
+    ])
+  );
+
+  const created = [];
+  const findOrCreate = async (name, type, parentId = null) => {
+    const key = keyOf(name, type, parentId);
+    if (byKey.has(key)) {
+      return byKey.get(key);
+    }
+    const category = await Category.create({ userId, householdId, name, type, parentId });
+    byKey.set(key, category);
+    created.push(category);
+    return category;
+  };
+
+  for (const { name, type, subcategories = [] } of template) {
+    const parent = await findOrCreate(name, type);
+    for (const subcategory of subcategories) {
+      await findOrCreate(subcategory, type, parent._id);
+    }
+  }
+  return created;
+};
@@ -0,0 +1,183 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import archiver from "archiver";
+import mongoose from "mongoose";
+import {
+  User,
+  Category,
+  CategoryRule,
+  Income,
+  Expense,
+  Budget,
+  Loan,
+  Notification,
+  FinancialGoal,
+  RecurringTransaction,
+  Attachment,
+  DataExport,
+} from "../databaseSchema/database.model.js";
+
+export const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || "exports");
+// Accounts with more records than this are exported in the background
+export const EXPORT_SYNC_MAX_RECORDS = Number(process.env.EXPORT_SYNC_MAX_RECORDS) || 2000;
+export const EXPORT_RETENTION_DAYS = Number(process.env.EXPORT_RETENTION_DAYS) || 7;
+// Pending exports older than this were interrupted (e.g. by a restart) and count as failed
+export const EXPORT_PENDING_TIMEOUT_MINUTES =
+  Number(process.env.EXPORT_PENDING_TIMEOUT_MINUTES) || 30;
+
+const FORMAT_VERSION = 1;
+
+// Entities included in the archive, each exported as <name>.csv
+const ENTITIES = [
+  { name: "categories", model: Category },
+  { name: "categoryRules", model: CategoryRule },
+  { name: "incomes", model: Income },
+  { name: "expenses", model: Expense },
+  { name: "budgets", model: Budget },
+  { name: "loans", model: Loan },
+  { name: "notifications", model: Notification },
+  { name: "goals", model: FinancialGoal },
+  { name: "recurringTransactions", model: RecurringTransaction },
+  { name: "attachments", model: Attachment }, // Metadata only, not the files
+];
+
+// Helper: Convert a lean document into plain JSON-safe values
+const toPlain = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== "__v")
+        .map(([key, nested]) => [key, toPlain(nested)])
+    );
+  }
+  return value;
+};
+
+// Helper: Render rows as CSV, nested values are written as JSON
+const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const escape = (value) => {
+    if (value === undefined || value === null) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => escape(row[column])).join(",")),
+  ].join("\r\n");
+};
+
+// Number of records an export for this user would contain
+export const countUserRecords = async (userId) => {
+  const counts = await Promise.all(
+    ENTITIES.map(({ model }) =>
+      model.countDocuments({ userId }).setOptions({ withDeleted: true })
+    )
+  );
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+// Collect everything the user owns as plain objects
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("name email verified preferences createdAt updatedAt")
+    .lean();
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const data = { profile: toPlain(user) };
+  for (const { name, model } of ENTITIES) {
+    // Records in the trash are still the user's data
+    const documents = await model.find({ userId }).setOptions({ withDeleted: true }).lean();
+    data[name] = documents.map(toPlain);
+  }
+  return data;
+};
+
+// Build the archive for an export record and mark it ready (or failed)
+export const generateExport = async (dataExport) => {
+  try {
+    const data = await collectUserData(dataExport.userId);
+
+    await fsPromises.mkdir(EXPORT_DIR, { recursive: true });
+    const fileName = `bachat-guru-export-${new Date().toISOString().slice(0, 10)}-${dataExport._id}.zip`;
+    const filePath = path.join(EXPORT_DIR, fileName);
+
+    const manifest = {
+      formatVersion: FORMAT_VERSION,
+      generatedAt: new Date().toISOString(),
+      userId: dataExport.userId.toString(),
+      files: [
+        { path: "data.json", description: "All data as JSON" },
+        { path: "csv/profile.csv", records: 1 },
+        ...ENTITIES.map(({ name }) => ({
+          path: `csv/${name}.csv`,
+          records: data[name].length,
+        })),
+      ],
+    };
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver("zip", { zlib: { level: 9 } });
+      output.on("close", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+      archive.pipe(output);
+
+      archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+      archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+      archive.append(toCsv([data.profile]), { name: "csv/profile.csv" });
+      for (const { name } of ENTITIES) {
+        archive.append(toCsv(data[name]), { name: `csv/${name}.csv` });
+      }
+      archive.finalize();
+    });
+
+    const { size } = await fsPromises.stat(filePath);
+    dataExport.status = "ready";
+    dataExport.fileName = fileName;
+    dataExport.filePath = filePath;
+    dataExport.size = size;
+    dataExport.completedAt = new Date();
+  } catch (error) {
+    console.error("Data Export Error:", error);
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+  }
+
+  await dataExport.save();
+  return dataExport;
+};
+
+// Delete archives (and their records) for the given exports
+export const removeExports = async (exports) => {
+  for (const dataExport of exports) {
+    if (dataExport.filePath) {
+      await fsPromises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ _id: { $in: exports.map((item) => item._id) } });
+};
+
+// Mark pending exports matching `filter` that have run past the timeout as failed
+export const failStaleExports = async (filter = {}, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - EXPORT_PENDING_TIMEOUT_MINUTES * 60 * 1000);
+  const result = await DataExport.updateMany(
+    { ...filter, status: "pending", createdAt: { $lte: cutoff } },
+    { $set: { status: "failed", error: "The export was interrupted, request a new one" } }
+  );
+  return result.modifiedCount;
+};
+
+// Remove exports past their retention period
+export const cleanupExpiredExports = async (now = new Date()) => {
+  const expired = await DataExport.find({ expiresAt: { $lte: now } });
+  await removeExports(expired);
+  return expired.length;
+};
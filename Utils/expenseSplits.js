@@ -0,0 +1,100 @@
+import { check } from "express-validator";
+import mongoose from "mongoose";
+import { Category, Expense } from "../databaseSchema/database.model.js";
+
+// Helper: Amount in cents, so line totals compare without floating point drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Input validation for the lines of a split expense
+export const splitValidation = [
+  check("splits")
+    .optional()
+    .isArray({ min: 2 })
+    .withMessage("A split expense needs at least two lines")
+    .bail()
+    .custom((splits, { req }) => {
+      const total = splits.reduce((sum, line) => sum + toCents(line?.amount), 0);
+      if (total !== toCents(req.body.amount)) {
+        throw new Error("Split amounts must add up to the expense amount");
+      }
+      return true;
+    }),
+  check("splits.*.categoryId")
+    .isMongoId()
+    .withMessage("Invalid category ID")
+    .bail()
+    .custom(async (value, { req }) => {
+      const category = await Category.findOne({
+        _id: value,
+        ...req.scope.filter,
+        type: "expense",
+      });
+      if (!category) {
+        throw new Error("Invalid expense category");
+      }
+      // Archived categories stay valid for expenses already split into them
+      if (
+        category.archived &&
+        !(
+          req.params.id &&
+          (await Expense.exists({ _id: req.params.id, "splits.categoryId": category._id }))
+        )
+      ) {
+        throw new Error("Archived categories cannot be used for new transactions");
+      }
+      return true;
+    }),
+  check("splits.*.amount")
+    .isFloat({ gt: 0 })
+    .withMessage("Split amounts must be positive numbers"),
+  check("splits.*.note")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Split notes must be at most 200 characters"),
+];
+
+// Split lines from a validated request body ([] when the expense is not split)
+export const splitsFromBody = (splits) =>
+  (splits || []).map((line) => ({
+    categoryId: new mongoose.Types.ObjectId(line.categoryId),
+    amount: Number(line.amount),
+    note: line.note || undefined,
+  }));
+
+// Category shown for a split expense: the one of its largest line
+export const primarySplitCategory = (splits) =>
+  splits.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).categoryId;
+
+// Categories an expense counts against
+export const expenseCategoryIds = (expense) => {
+  if (!expense.splits?.length) return [expense.categoryId];
+  const ids = new Map(expense.splits.map((line) => [line.categoryId.toString(), line.categoryId]));
+  return [...ids.values()];
+};
+
+// Filter matching expenses with the whole expense or one of its lines in the categories
+export const expenseCategoryFilter = (categoryIds) => ({
+  $or: [{ categoryId: { $in: categoryIds } }, { "splits.categoryId": { $in: categoryIds } }],
+});
+
+// Aggregation stages turning expenses into category lines: a split expense yields one
+// line per split, any other expense a single line. Lines keep the expense's other fields
+// with categoryId and amount taken from the line. With categoryIds only those lines remain.
+export const expenseLineStages = (categoryIds = null) => [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+          "$splits",
+          [{ categoryId: "$categoryId", amount: "$amount" }],
+        ],
+      },
+    },
+  },
+  { $unwind: "$lines" },
+  { $addFields: { categoryId: "$lines.categoryId", amount: "$lines.amount" } },
+  { $project: { lines: 0, splits: 0 } },
+  ...(categoryIds ? [{ $match: { categoryId: { $in: categoryIds } } }] : []),
+];
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { Attachment, Household, HouseholdInvite } from "../databaseSchema/database.model.js";
+import { removeAttachments } from "./attachments.js";
+
+// Higher rank includes the permissions of the lower ones
+export const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Filter selecting the records that share a document's owner (the household, or the user personally)
+export const ownerFilter = (doc) =>
+  doc.householdId
+    ? { householdId: doc.householdId }
+    : { userId: doc.userId, householdId: null };
+
+// Helper: Every model that can hold household records
+const householdScopedModels = () =>
+  mongoose
+    .modelNames()
+    .map((name) => mongoose.model(name))
+    .filter((model) => model.schema.path("householdId"));
+
+// Delete a household together with all of its records
+export const deleteHousehold = async (householdId) => {
+  // Attachment files live in the attachment storage as well as in the database
+  await removeAttachments(await Attachment.find({ householdId }));
+  for (const model of householdScopedModels()) {
+    await model.deleteMany({ householdId });
+  }
+  await HouseholdInvite.deleteMany({ householdId });
+  await Household.deleteOne({ _id: householdId });
+};
+
+// Take a user out of every household. Households left without members are
+// deleted, otherwise ownership passes to the longest-standing editor (or member).
+export const removeUserFromHouseholds = async (userId) => {
+  const households = await Household.find({ "members.userId": userId });
+
+  for (const household of households) {
+    household.members = household.members.filter(
+      (member) => !member.userId.equals(userId)
+    );
+
+    if (household.members.length === 0) {
+      await deleteHousehold(household._id);
+      continue;
+    }
+
+    if (household.ownerId.equals(userId)) {
+      const successor =
+        household.members
+          .filter((member) => member.role === "editor")
+          .sort((a, b) => a.joinedAt - b.joinedAt)[0] ||
+        [...household.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      successor.role = "owner";
+      household.ownerId = successor.userId;
+    }
+    await household.save();
+  }
+};
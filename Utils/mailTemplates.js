@@ -0,0 +1,127 @@
+// Named email templates, each renders { subject, text, html } from per-user variables
+const APP_NAME = "Bachat Guru";
+
+// Helper: Escape a value for HTML output
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Helper: Wrap body HTML in the shared layout
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8" /><title>${escapeHtml(title)}</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #2e7d32;">${APP_NAME}</h2>
+    ${bodyHtml}
+    <p style="color: #888; font-size: 12px; margin-top: 32px;">You received this email because you have a ${APP_NAME} account.</p>
+  </body>
+</html>`;
+
+// Helper: Call-to-action link button
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #2e7d32; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>
+    <p style="font-size: 12px;">Or open this link: ${escapeHtml(url)}</p>`;
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresIn = "1 hour" }) => ({
+    subject: `${APP_NAME} Password Reset`,
+    text: `Hi ${name || "there"},\n\nClick this link to reset your password: ${resetUrl}\nThis link expires in ${expiresIn}.\n\nIf you did not ask for a reset, you can ignore this email.`,
+    html: layout(
+      "Password Reset",
+      `<p>Hi ${escapeHtml(name || "there")},</p>
+    <p>We received a request to reset your password.</p>
+    ${button(resetUrl, "Reset password")}
+    <p>This link expires in ${escapeHtml(expiresIn)}. If you did not ask for a reset, you can ignore this email.</p>`
+    ),
+  }),
+
+  verifyEmail: ({ name, verifyUrl, expiresIn = "24h" }) => ({
+    subject: `Verify your ${APP_NAME} email`,
+    text: `Hi ${name || "there"},\n\nConfirm your email address by opening this link: ${verifyUrl}\nThis link expires in ${expiresIn}.`,
+    html: layout(
+      "Verify your email",
+      `<p>Hi ${escapeHtml(name || "there")},</p>
+    <p>Please confirm your email address.</p>
+    ${button(verifyUrl, "Verify email")}
+    <p>This link expires in ${escapeHtml(expiresIn)}.</p>`
+    ),
+  }),
+
+  accountLocked: ({ name, lockoutMinutes = 15 }) => ({
+    subject: `${APP_NAME} sign-in temporarily locked`,
+    text: `Hi ${name || "there"},\n\nWe noticed several failed sign-in attempts on your account, so sign-in has been locked for ${lockoutMinutes} minutes.\nIf this was not you, consider resetting your password once the lock expires.`,
+    html: layout(
+      "Sign-in locked",
+      `<p>Hi ${escapeHtml(name || "there")},</p>
+    <p>We noticed several failed sign-in attempts on your account, so sign-in has been locked for ${escapeHtml(lockoutMinutes)} minutes.</p>
+    <p>If this was not you, consider resetting your password once the lock expires.</p>`
+    ),
+  }),
+
+  accountDeletionScheduled: ({ name, deletionDate }) => ({
+    subject: `Your ${APP_NAME} account is scheduled for deletion`,
+    text: `Hi ${name || "there"},\n\nYour account and all of its data will be permanently deleted on ${deletionDate}.\nIf you change your mind, log in and cancel the deletion before then.`,
+    html: layout(
+      "Account deletion scheduled",
+      `<p>Hi ${escapeHtml(name || "there")},</p>
+    <p>Your account and all of its data will be permanently deleted on <strong>${escapeHtml(deletionDate)}</strong>.</p>
+    <p>If you change your mind, log in and cancel the deletion before then.</p>`
+    ),
+  }),
+
+  householdInvite: ({ inviterName, householdName, role, acceptUrl, expiresIn = "7 days" }) => ({
+    subject: `${inviterName || "Someone"} invited you to "${householdName}" on ${APP_NAME}`,
+    text: `Hi,\n\n${inviterName || "Someone"} invited you to join the household "${householdName}" as ${role}.\nAccept the invitation: ${acceptUrl}\nThis invitation expires in ${expiresIn}.`,
+    html: layout(
+      "Household invitation",
+      `<p>Hi,</p>
+    <p>${escapeHtml(inviterName || "Someone")} invited you to join the household <strong>${escapeHtml(householdName)}</strong> as ${escapeHtml(role)}.</p>
+    ${button(acceptUrl, "Accept invitation")}
+    <p>This invitation expires in ${escapeHtml(expiresIn)}.</p>`
+    ),
+  }),
+
+  digest: ({ name, periodLabel, currency = "Rs", totalIncome = 0, totalExpenses = 0, topCategories = [] }) => {
+    const net = totalIncome - totalExpenses;
+    const categoryLines = topCategories
+      .map((category) => `- ${category.name}: ${currency}${category.total}`)
+      .join("\n");
+    const categoryRows = topCategories
+      .map(
+        (category) =>
+          `<tr><td>${escapeHtml(category.name)}</td><td style="text-align: right;">${escapeHtml(currency)}${escapeHtml(category.total)}</td></tr>`
+      )
+      .join("");
+
+    return {
+      subject: `Your ${APP_NAME} summary for ${periodLabel}`,
+      text: `Hi ${name || "there"},\n\nHere is your summary for ${periodLabel}:\nIncome: ${currency}${totalIncome}\nExpenses: ${currency}${totalExpenses}\nNet: ${currency}${net}${categoryLines ? `\n\nTop spending:\n${categoryLines}` : ""}`,
+      html: layout(
+        "Summary",
+        `<p>Hi ${escapeHtml(name || "there")},</p>
+    <p>Here is your summary for ${escapeHtml(periodLabel)}:</p>
+    <table style="width: 100%;">
+      <tr><td>Income</td><td style="text-align: right;">${escapeHtml(currency)}${escapeHtml(totalIncome)}</td></tr>
+      <tr><td>Expenses</td><td style="text-align: right;">${escapeHtml(currency)}${escapeHtml(totalExpenses)}</td></tr>
+      <tr><td><strong>Net</strong></td><td style="text-align: right;"><strong>${escapeHtml(currency)}${escapeHtml(net)}</strong></td></tr>
+    </table>
+    ${categoryRows ? `<h4>Top spending</h4><table style="width: 100%;">${categoryRows}</table>` : ""}`
+      ),
+    };
+  },
+};
+
+// Render a named template, throws for unknown names
+export const renderTemplate = (name, variables = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(variables);
+};
+
+export const templateNames = Object.keys(templates);
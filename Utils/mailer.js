@@ -0,0 +1,104 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import * as dotenv from "dotenv";
+import { renderTemplate } from "./mailTemplates.js";
+dotenv.config();
+
+// Single place every feature sends mail through.
+// MAIL_TRANSPORT picks the transport:
+//   smtp     - real delivery (SMTP_HOST/SMTP_PORT/SMTP_SECURE, or SMTP_SERVICE, default gmail)
+//   outbox   - writes each message as JSON into MAIL_OUTBOX_DIR, for development and tests
+//   disabled - drops every message
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+const MAIL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+
+let transporter = null;
+
+// Helper: Lazily create the configured nodemailer transporter
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  switch (MAIL_TRANSPORT) {
+    case "smtp":
+      transporter = nodemailer.createTransport(
+        process.env.SMTP_HOST
+          ? {
+              host: process.env.SMTP_HOST,
+              port: Number(process.env.SMTP_PORT) || 587,
+              secure: process.env.SMTP_SECURE === "true",
+              auth: {
+                user: process.env.EMAIL_USER,
+                pass: process.env.EMAIL_PASS,
+              },
+            }
+          : {
+              service: process.env.SMTP_SERVICE || "gmail",
+              auth: {
+                user: process.env.EMAIL_USER,
+                pass: process.env.EMAIL_PASS,
+              },
+            }
+      );
+      break;
+    case "outbox":
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    case "disabled":
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+  }
+
+  return transporter;
+};
+
+// Helper: Persist a JSON-rendered message into the outbox directory
+const writeToOutbox = async (info) => {
+  await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, "")}.json`;
+  const filePath = path.join(MAIL_OUTBOX_DIR, fileName);
+  await fs.writeFile(filePath, info.message);
+  return filePath;
+};
+
+// Render a named template and send it to one recipient.
+// Returns the transport info, or null when mail is disabled.
+export const sendMail = async ({ to, template, variables = {} }) => {
+  const { subject, text, html } = renderTemplate(template, variables);
+  const mailer = getTransporter();
+
+  if (!mailer) {
+    return null;
+  }
+
+  const info = await mailer.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+  if (MAIL_TRANSPORT === "outbox") {
+    info.outboxPath = await writeToOutbox(info);
+  }
+
+  return info;
+};
+
+// Read back messages written to the outbox, newest last (development and tests)
+export const readOutbox = async () => {
+  let files;
+  try {
+    files = await fs.readdir(MAIL_OUTBOX_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map(async (file) =>
+        JSON.parse(await fs.readFile(path.join(MAIL_OUTBOX_DIR, file), "utf8"))
+      )
+  );
+  return messages;
+};
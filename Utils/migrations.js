@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { Expense } from "../databaseSchema/database.model.js";
+
+// Helper: Values the old scheduler copied from a recurring expense onto each occurrence
+const legacySeriesKey = (expense) =>
+  JSON.stringify([
+    expense.userId,
+    expense.householdId,
+    expense.categoryId,
+    expense.paymentMethod,
+    expense.amount,
+    expense.notes ?? "",
+    expense.frequency,
+    expense.endDate?.getTime() ?? null,
+  ]);
+
+// Before occurrences pointed at their template through seriesId, the scheduler copied
+// isRecurring, frequency and nextOccurrence onto every expense it generated, so each one
+// went on to generate a series of its own. Expenses with the same copied values form
+// one series: the earliest stays the template (taking the series' furthest
+// nextOccurrence) and the others become plain occurrences of it.
+const linkLegacyOccurrences = async () => {
+  const recurring = await Expense.find({ isRecurring: true, seriesId: null })
+    .setOptions({ withDeleted: true })
+    .sort({ date: 1, createdAt: 1 });
+
+  const series = new Map();
+  for (const expense of recurring) {
+    const key = legacySeriesKey(expense);
+    series.set(key, [...(series.get(key) || []), expense]);
+  }
+
+  let templates = 0;
+  let occurrences = 0;
+  for (const [template, ...generated] of series.values()) {
+    if (!generated.length) continue;
+
+    const nextOccurrences = [template, ...generated]
+      .map((expense) => expense.nextOccurrence)
+      .filter(Boolean);
+    if (nextOccurrences.length) {
+      template.nextOccurrence = new Date(Math.max(...nextOccurrences));
+      await template.save();
+    }
+
+    await Expense.updateMany(
+      { _id: { $in: generated.map((expense) => expense._id) } },
+      {
+        $set: {
+          isRecurring: false,
+          frequency: null,
+          nextOccurrence: null,
+          endDate: null,
+          seriesId: template._id,
+        },
+      },
+      { withDeleted: true }
+    );
+    templates += 1;
+    occurrences += generated.length;
+  }
+  return { templates, occurrences };
+};
+
+// One-off data migrations, in the order they run
+const MIGRATIONS = [{ id: "link-legacy-recurring-occurrences", run: linkLegacyOccurrences }];
+
+// Run the migrations not applied yet, each once. The record in the migrations
+// collection is written first, so only one server instance runs a migration.
+export const runMigrations = async () => {
+  const applied = mongoose.connection.db.collection("migrations");
+  for (const { id, run } of MIGRATIONS) {
+    try {
+      await applied.insertOne({ _id: id, startedAt: new Date() });
+    } catch (error) {
+      if (error.code === 11000) continue; // Applied or running elsewhere
+      throw error;
+    }
+
+    try {
+      const result = await run();
+      await applied.updateOne({ _id: id }, { $set: { completedAt: new Date(), result } });
+      console.log(`Migration ${id} applied:`, result);
+    } catch (error) {
+      // Let the next start try again
+      await applied.deleteOne({ _id: id });
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,175 @@
+import { User } from "../databaseSchema/database.model.js";
+
+// Defaults for users who have not set a preference
+export const DEFAULT_PREFERENCES = {
+  currency: "NPR",
+  locale: "en-NP",
+  timezone: "Asia/Kathmandu",
+  weekStartDay: 0, // 0 = Sunday ... 6 = Saturday
+  dateFormat: "YYYY-MM-DD",
+  defaultPaymentMethod: "cash",
+};
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY", "DD-MM-YYYY"];
+
+// Helper: Whether a string is a currency code Intl understands
+export const isValidCurrency = (code) => {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: code });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper: Whether a string is a BCP 47 locale Intl understands
+export const isValidLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper: Whether a string is an IANA time zone
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Merge a user's stored preferences over the defaults
+export const resolvePreferences = (user) => {
+  const stored = user?.preferences?.toObject
+    ? user.preferences.toObject()
+    : user?.preferences || {};
+  const preferences = { ...DEFAULT_PREFERENCES };
+  for (const [key, value] of Object.entries(stored)) {
+    if (value !== undefined && value !== null) preferences[key] = value;
+  }
+  return preferences;
+};
+
+// Load a user's preferences
+export const getUserPreferences = async (userId) => {
+  const user = await User.findById(userId).select("preferences");
+  return resolvePreferences(user);
+};
+
+// Memoizing loader for batch jobs that handle many records per user
+export const createPreferencesLoader = () => {
+  const cache = new Map();
+  return (userId) => {
+    const key = userId.toString();
+    if (!cache.has(key)) {
+      cache.set(key, getUserPreferences(userId));
+    }
+    return cache.get(key);
+  };
+};
+
+// Format an amount in the user's currency and locale, e.g. "Rs 1,200.00"
+export const formatMoney = (amount, preferences = DEFAULT_PREFERENCES) => {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat(preferences.locale, {
+      style: "currency",
+      currency: preferences.currency,
+      currencyDisplay: "narrowSymbol",
+    }).format(value);
+  } catch (error) {
+    return `${preferences.currency} ${value.toFixed(2)}`;
+  }
+};
+
+// Helper: Calendar parts of a date as seen in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+  }).formatToParts(date);
+  const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return {
+    year: Number(lookup.year),
+    month: Number(lookup.month),
+    day: Number(lookup.day),
+    hour: Number(lookup.hour),
+    minute: Number(lookup.minute),
+    second: Number(lookup.second),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(lookup.weekday),
+  };
+};
+
+// Helper: Offset of a time zone from UTC at a given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight of a calendar day in a time zone (month is 1-based, overflow is allowed)
+export const startOfZonedDay = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+  // Correct when the offset changes between the guess and the result (DST)
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+};
+
+// Start of the user's local day containing `date`
+export const startOfUserDay = (date, preferences = DEFAULT_PREFERENCES) => {
+  const { year, month, day } = getZonedParts(date, preferences.timezone);
+  return startOfZonedDay(year, month, day, preferences.timezone);
+};
+
+// Start and end of the week or month containing `date`, in the user's time zone
+export const getPeriodRange = (period, preferences = DEFAULT_PREFERENCES, date = new Date()) => {
+  const { year, month, day, weekday } = getZonedParts(date, preferences.timezone);
+
+  if (period === "week") {
+    const daysIntoWeek = (weekday - preferences.weekStartDay + 7) % 7;
+    const start = startOfZonedDay(year, month, day - daysIntoWeek, preferences.timezone);
+    const next = startOfZonedDay(year, month, day - daysIntoWeek + 7, preferences.timezone);
+    return { start, end: new Date(next.getTime() - 1) };
+  }
+
+  if (period === "month") {
+    const start = startOfZonedDay(year, month, 1, preferences.timezone);
+    const next = startOfZonedDay(year, month + 1, 1, preferences.timezone);
+    return { start, end: new Date(next.getTime() - 1) };
+  }
+
+  throw new Error(`Unknown period: ${period}`);
+};
+
+// Format a date in the user's time zone and date format
+export const formatDate = (date, preferences = DEFAULT_PREFERENCES) => {
+  const { year, month, day } = getZonedParts(new Date(date), preferences.timezone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return preferences.dateFormat
+    .replace("YYYY", year)
+    .replace("MM", pad(month))
+    .replace("DD", pad(day));
+};
@@ -0,0 +1,192 @@
+import safeRegex from "safe-regex2";
+import { Category, CategoryRule } from "../databaseSchema/database.model.js";
+import { MAX_TAGS, normalizeTags } from "./tags.js";
+
+// Longest notesRegex accepted
+export const MAX_RULE_REGEX_LENGTH = 200;
+
+// Helper: Compile a rule's notes pattern, null when it is not a valid regex or could
+// backtrack catastrophically (e.g. "(a+)+$"), as patterns run on the event loop
+export const compileRuleRegex = (pattern) => {
+  if (!pattern || pattern.length > MAX_RULE_REGEX_LENGTH) return null;
+  try {
+    const regex = new RegExp(pattern, "i");
+    return safeRegex(regex) ? regex : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Compiled notes patterns by rule, so each loaded rule is compiled once
+const compiledPatterns = new WeakMap();
+
+// Helper: A rule's compiled notes pattern (null when it has none or it is unusable)
+const ruleRegex = (rule) => {
+  if (!compiledPatterns.has(rule)) {
+    compiledPatterns.set(rule, compileRuleRegex(rule.conditions?.notesRegex));
+  }
+  return compiledPatterns.get(rule);
+};
+
+// Whether a transaction ({ notes, amount, paymentMethod }) meets every condition of a rule
+export const ruleMatches = (rule, transaction) => {
+  const { notesContains, notesRegex, amountMin, amountMax, paymentMethods } =
+    rule.conditions || {};
+  const notes = transaction.notes || "";
+  const amount = Number(transaction.amount);
+
+  if (notesContains && !notes.toLowerCase().includes(notesContains.toLowerCase())) {
+    return false;
+  }
+  if (notesRegex) {
+    const regex = ruleRegex(rule);
+    if (!regex || !regex.test(notes)) return false;
+  }
+  if (amountMin !== null && amountMin !== undefined && amount < amountMin) {
+    return false;
+  }
+  if (amountMax !== null && amountMax !== undefined && amount > amountMax) {
+    return false;
+  }
+  if (paymentMethods?.length && !paymentMethods.includes(transaction.paymentMethod)) {
+    return false;
+  }
+  return true;
+};
+
+// Changes a rule makes to a transaction: { categoryId?, notes?, tags? }
+export const ruleChanges = (rule, transaction) => {
+  const { categoryId, addTags, setNotes } = rule.actions || {};
+  const changes = {};
+  if (categoryId) {
+    changes.categoryId = categoryId;
+  }
+  if (setNotes !== null && setNotes !== undefined) {
+    changes.notes = setNotes;
+  }
+  if (addTags?.length) {
+    changes.tags = normalizeTags([...(transaction.tags || []), ...addTags]).slice(0, MAX_TAGS);
+  }
+  return changes;
+};
+
+// Enabled rules of a scope for one transaction type, in the order they are tried.
+// Rules pointing at a deleted or archived category are skipped.
+export const loadRules = async (filter, transactionType) => {
+  const rules = await CategoryRule.find({ ...filter, transactionType, enabled: true }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+  const categoryIds = rules.map((rule) => rule.actions.categoryId).filter(Boolean);
+  const usableCategories = await Category.find({
+    _id: { $in: categoryIds },
+    type: transactionType,
+    archived: { $ne: true },
+  }).select("_id");
+  const usable = new Set(usableCategories.map((category) => category._id.toString()));
+  return rules.filter(
+    (rule) => !rule.actions.categoryId || usable.has(rule.actions.categoryId.toString())
+  );
+};
+
+// Loader reading a scope's rules once, on first use, e.g. for a batch of transactions
+export const createRulesLoader = (filter, transactionType) => {
+  let rules = null;
+  return () => {
+    if (!rules) {
+      rules = loadRules(filter, transactionType);
+    }
+    return rules;
+  };
+};
+
+// Rules matching a transaction and their combined changes, or null when none match.
+// In priority order the first rule to set a category (or notes) wins, tags accumulate.
+// Used for new transactions without a category and for imported ones.
+export const categorize = (rules, transaction) => {
+  const matched = rules.filter((rule) => ruleMatches(rule, transaction));
+  if (!matched.length) return null;
+
+  const changes = {};
+  for (const rule of matched) {
+    const { categoryId, notes, tags } = ruleChanges(rule, {
+      tags: changes.tags || transaction.tags,
+    });
+    if (categoryId && !changes.categoryId) changes.categoryId = categoryId;
+    if (notes !== undefined && changes.notes === undefined) changes.notes = notes;
+    if (tags) changes.tags = tags;
+  }
+  return { rules: matched, changes };
+};
+
+// Helper: Whether applying `changes` would modify a stored transaction
+const changesDiffer = (transaction, changes) =>
+  (changes.categoryId && !transaction.categoryId.equals(changes.categoryId)) ||
+  (changes.notes !== undefined && changes.notes !== transaction.notes) ||
+  (changes.tags !== undefined && changes.tags.length !== (transaction.tags || []).length);
+
+// Re-run the rules of a scope over existing transactions of `model` (Income or Expense).
+// Returns how many matched a rule and how many were (or, with dryRun, would be) changed,
+// and `recategorized`: the { categoryId, date } each moved transaction left and joined,
+// once per category and day, e.g. to re-check the budgets affected.
+export const applyRulesToHistory = async (
+  model,
+  transactionType,
+  filter,
+  { startDate, endDate, dryRun = false } = {}
+) => {
+  const rules = await loadRules(filter, transactionType);
+  const summary = { scanned: 0, matched: 0, updated: 0 };
+  const recategorized = new Map();
+  if (!rules.length) return { summary, recategorized: [] };
+
+  const query = { ...filter };
+  // Split expenses take their category from their lines, rules leave them alone
+  if (transactionType === "expense") {
+    query["splits.0"] = { $exists: false };
+  }
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  let operations = [];
+  const flush = async () => {
+    if (!dryRun && operations.length) {
+      await model.bulkWrite(operations);
+    }
+    operations = [];
+  };
+
+  const addRecategorized = (categoryId, date) => {
+    const day = date.toISOString().slice(0, 10);
+    recategorized.set(`${categoryId}:${day}`, { categoryId, date });
+  };
+
+  const cursor = model
+    .find(query)
+    .select("categoryId amount date notes paymentMethod tags")
+    .cursor();
+  for await (const transaction of cursor) {
+    summary.scanned += 1;
+    const result = categorize(rules, transaction);
+    if (!result) continue;
+    summary.matched += 1;
+    if (!changesDiffer(transaction, result.changes)) continue;
+
+    summary.updated += 1;
+    const { categoryId } = result.changes;
+    if (!dryRun && categoryId && !transaction.categoryId.equals(categoryId)) {
+      addRecategorized(transaction.categoryId, transaction.date);
+      addRecategorized(categoryId, transaction.date);
+    }
+    operations.push({
+      updateOne: { filter: { _id: transaction._id }, update: { $set: result.changes } },
+    });
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  return { summary, recategorized: [...recategorized.values()] };
+};
@@ -0,0 +1,66 @@
+import { check } from "express-validator";
+import { Expense, Income } from "../databaseSchema/database.model.js";
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+const DEFAULT_SUGGESTION_LIMIT = 10;
+
+// Letters or digits, with spaces, dashes and underscores inside, e.g. "trip-pokhara"
+const TAG_PATTERN = /^[\p{L}\p{N}]([\p{L}\p{M}\p{N} _-]*[\p{L}\p{M}\p{N}])?$/u;
+
+// Helper: Escape user text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Input validation for a list of tags at `field`, e.g. a rule's "actions.addTags"
+export const tagListValidation = (field) => [
+  check(field)
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be a list of at most ${MAX_TAGS} tags`),
+  check(`${field}.*`)
+    .isString()
+    .withMessage("Tags must be text")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tags must be 1 to ${MAX_TAG_LENGTH} characters`)
+    .bail()
+    .matches(TAG_PATTERN)
+    .withMessage("Tags may only contain letters, digits, spaces, dashes and underscores"),
+];
+
+// Input validation for the tags of an income or expense
+export const tagValidation = tagListValidation("tags");
+
+// Tags as stored: trimmed, lowercase and without duplicates
+export const normalizeTags = (tags) => [
+  ...new Set((tags || []).map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)),
+];
+
+// Tags used in a scope starting with `prefix`, most used first, for autocomplete
+export const suggestTags = async (filter, prefix = "", limit = DEFAULT_SUGGESTION_LIMIT) => {
+  const match = prefix
+    ? { $regex: `^${escapeRegex(prefix.trim().toLowerCase())}` }
+    : { $exists: true };
+  const pipeline = [
+    { $match: { ...filter, tags: match } },
+    { $unwind: "$tags" },
+    { $match: { tags: match } },
+    { $group: { _id: "$tags", count: { $sum: 1 }, lastUsed: { $max: "$date" } } },
+  ];
+  const [incomeTags, expenseTags] = await Promise.all([
+    Income.aggregate(pipeline),
+    Expense.aggregate(pipeline),
+  ]);
+
+  const tags = new Map();
+  for (const { _id, count, lastUsed } of [...incomeTags, ...expenseTags]) {
+    const tag = tags.get(_id) || { tag: _id, count: 0, lastUsed };
+    tag.count += count;
+    if (lastUsed > tag.lastUsed) tag.lastUsed = lastUsed;
+    tags.set(_id, tag);
+  }
+  return [...tags.values()]
+    .sort((a, b) => b.count - a.count || b.lastUsed - a.lastUsed || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+};
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) compatible with standard authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Helper: Encode bytes as unpadded base32 (RFC 4648)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Helper: Decode base32 (case-insensitive, ignores padding and spaces)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Helper: HOTP value for a counter (RFC 4226)
+const hotp = (key, counter, digits = DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+};
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step number for a given time
+export const timeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+// Generate the TOTP code for a base32 secret at a given time
+export const generateTotp = (secret, time = Date.now()) =>
+  hotp(base32Decode(secret), timeStep(time));
+
+// Verify a code, allowing `window` steps of clock drift either way.
+// Returns the matched time step, or null when the code is invalid.
+export const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = timeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps import (usually via QR code)
+export const buildOtpauthUri = (secret, accountName, issuer = "Bachat Guru") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
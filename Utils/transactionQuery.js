@@ -0,0 +1,269 @@
+import { check } from "express-validator";
+import mongoose from "mongoose";
+import { getCategoryWithDescendantIds } from "./category.js";
+import { expenseCategoryFilter } from "./expenseSplits.js";
+import { getUserPreferences, startOfZonedDay } from "./preferences.js";
+import { normalizeTags } from "./tags.js";
+
+// Query contract shared by the income, expense and transactions listings:
+//   startDate, endDate              date range; date-only values are whole days in the
+//                                   requester's timezone
+//   categoryId, paymentMethod       one or more values, repeated or comma separated
+//                                   (categoryId also matches split expense lines)
+//   includeSubcategories=true       categoryId also matches subcategories
+//   tags, tagMatch=any|all          one or more tags; any of them (default) or all of them
+//   minAmount, maxAmount            amount range
+//   search                          case-insensitive text in notes
+//   recurring=true                  only recurring transactions and their occurrences
+//   sortBy=date|amount|createdAt, order=asc|desc
+//   limit, cursor                   page size, and the nextCursor of the previous page
+
+export const PAYMENT_METHODS = ["cash", "card", "bank", "mobile"];
+export const SORT_FIELDS = ["date", "amount", "createdAt"];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Helper: Values of a list parameter, given as repeated keys or comma separated
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Helper: { year, month, day } of a date-only value such as "2025-04-30", else null
+const dateOnlyParts = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+};
+
+// Helper: Escape user text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Opaque cursor pointing just after `doc` in the listing order
+export const encodeCursor = (doc, sortBy) =>
+  Buffer.from(JSON.stringify({ value: doc[sortBy], id: doc._id })).toString("base64url");
+
+// Helper: Sort value and id from a cursor, null when it is malformed
+const decodeCursor = (cursor, sortBy) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const decoded = sortBy === "amount" ? Number(value) : new Date(value);
+    if (!mongoose.isValidObjectId(id) || Number.isNaN(Number(decoded))) return null;
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const transactionQueryValidation = [
+  check("startDate").optional().isISO8601().withMessage("startDate must be a valid date"),
+  check("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("endDate must be a valid date")
+    .custom((value, { req }) => {
+      if (req.query.startDate && new Date(value) < new Date(req.query.startDate)) {
+        throw new Error("endDate must not be before startDate");
+      }
+      return true;
+    }),
+  check("categoryId")
+    .optional()
+    .custom((value) => {
+      if (!listParam(value).every((id) => mongoose.isValidObjectId(id))) {
+        throw new Error("categoryId must be one or more valid category IDs");
+      }
+      return true;
+    }),
+  check("includeSubcategories")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("includeSubcategories must be true or false"),
+  check("paymentMethod")
+    .optional()
+    .custom((value) => {
+      if (!listParam(value).every((method) => PAYMENT_METHODS.includes(method))) {
+        throw new Error(`paymentMethod must be among: ${PAYMENT_METHODS.join(", ")}`);
+      }
+      return true;
+    }),
+  check("tags")
+    .optional()
+    .custom((value) => {
+      if (!listParam(value).length) {
+        throw new Error("tags must list one or more tags");
+      }
+      return true;
+    }),
+  check("tagMatch").optional().isIn(["any", "all"]).withMessage("tagMatch must be any or all"),
+  check("minAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minAmount must be a positive number"),
+  check("maxAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("maxAmount must be a positive number")
+    .custom((value, { req }) => {
+      if (req.query.minAmount !== undefined && Number(value) < Number(req.query.minAmount)) {
+        throw new Error("maxAmount must not be below minAmount");
+      }
+      return true;
+    }),
+  check("search")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("search must be at most 100 characters"),
+  check("recurring").optional().isIn(["true", "false"]).withMessage("recurring must be true or false"),
+  check("sortBy")
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`sortBy must be one of: ${SORT_FIELDS.join(", ")}`),
+  check("order").optional().isIn(["asc", "desc"]).withMessage("order must be asc or desc"),
+  check("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  check("cursor")
+    .optional()
+    .custom((value, { req }) => {
+      if (!decodeCursor(value, req.query.sortBy || "date")) {
+        throw new Error("cursor is invalid, use the nextCursor of a previous page");
+      }
+      return true;
+    }),
+];
+
+// Turn validated query parameters into a filter (within the request's scope) and paging
+// options. categoryIds holds the category filter (null without one), for breakdowns by line.
+export const buildTransactionQuery = async (req, { includeSubcategories = false } = {}) => {
+  const {
+    startDate,
+    endDate,
+    categoryId,
+    paymentMethod,
+    tags,
+    tagMatch = "any",
+    minAmount,
+    maxAmount,
+    search,
+    recurring,
+    sortBy = "date",
+    order = "desc",
+    limit = DEFAULT_PAGE_SIZE,
+    cursor,
+  } = req.query;
+  const filter = { ...req.scope.filter };
+  const conditions = [];
+  let categoryIds = null;
+
+  if (startDate || endDate) {
+    // Date-only bounds are days on the requester's calendar
+    const { timezone } = await getUserPreferences(req.scope.userId);
+    filter.date = {};
+    if (startDate) {
+      const day = dateOnlyParts(startDate);
+      filter.date.$gte = day
+        ? startOfZonedDay(day.year, day.month, day.day, timezone)
+        : new Date(startDate);
+    }
+    if (endDate) {
+      const day = dateOnlyParts(endDate);
+      if (day) {
+        filter.date.$lt = startOfZonedDay(day.year, day.month, day.day + 1, timezone);
+      } else {
+        filter.date.$lte = new Date(endDate);
+      }
+    }
+  }
+  if (categoryId) {
+    categoryIds = listParam(categoryId).map((id) => new mongoose.Types.ObjectId(id));
+    if (includeSubcategories || req.query.includeSubcategories === "true") {
+      categoryIds = (await Promise.all(categoryIds.map(getCategoryWithDescendantIds))).flat();
+    }
+    conditions.push(expenseCategoryFilter(categoryIds));
+  }
+  if (paymentMethod) {
+    filter.paymentMethod = { $in: listParam(paymentMethod) };
+  }
+  if (tags) {
+    filter.tags = { [tagMatch === "all" ? "$all" : "$in"]: normalizeTags(listParam(tags)) };
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = Number(minAmount);
+    if (maxAmount !== undefined) filter.amount.$lte = Number(maxAmount);
+  }
+  if (search) {
+    filter.notes = { $regex: escapeRegex(search), $options: "i" };
+  }
+  if (recurring === "true") {
+    conditions.push({ $or: [{ isRecurring: true }, { seriesId: { $ne: null } }] });
+  }
+  if (conditions.length) {
+    filter.$and = conditions;
+  }
+
+  return { filter, categoryIds, sortBy, order, limit: Number(limit), cursor };
+};
+
+// Helper: The filter restricted to records after the cursor
+const afterCursor = (filter, { sortBy, order, cursor }) => {
+  if (!cursor) return filter;
+  const { value, id } = decodeCursor(cursor, sortBy);
+  const operator = order === "asc" ? "$gt" : "$lt";
+  return {
+    $and: [
+      filter,
+      { $or: [{ [sortBy]: { [operator]: value } }, { [sortBy]: value, _id: { [operator]: id } }] },
+    ],
+  };
+};
+
+// Helper: Up to limit + 1 records after the cursor, the extra one shows another page exists
+const findAfterCursor = (model, query) => {
+  const direction = query.order === "asc" ? 1 : -1;
+  return model
+    .find(afterCursor(query.filter, query))
+    .populate("categoryId", "name type")
+    .sort({ [query.sortBy]: direction, _id: direction })
+    .limit(query.limit + 1);
+};
+
+// One page of `model` records for a query from buildTransactionQuery
+export const findTransactionPage = async (model, query) => {
+  const records = await findAfterCursor(model, query);
+  const items = records.slice(0, query.limit);
+  return {
+    items,
+    nextCursor:
+      records.length > query.limit ? encodeCursor(items[items.length - 1], query.sortBy) : null,
+  };
+};
+
+// Helper: Listing order of two records (ids break ties, as in the cursor)
+const compareRecords = (a, b, { sortBy, order }) => {
+  const difference =
+    Number(a[sortBy]) - Number(b[sortBy]) || a._id.toString().localeCompare(b._id.toString());
+  return order === "asc" ? difference : -difference;
+};
+
+// One page across several models, e.g. incomes and expenses together. Items come as
+// { type, record }, with type being the record's key in `models`.
+export const findMergedTransactionPage = async (models, query) => {
+  const pages = await Promise.all(
+    Object.entries(models).map(async ([type, model]) =>
+      (await findAfterCursor(model, query)).map((record) => ({ type, record }))
+    )
+  );
+
+  const merged = pages.flat().sort((a, b) => compareRecords(a.record, b.record, query));
+  const items = merged.slice(0, query.limit);
+  return {
+    items,
+    nextCursor:
+      merged.length > query.limit
+        ? encodeCursor(items[items.length - 1].record, query.sortBy)
+        : null,
+  };
+};
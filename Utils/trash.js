@@ -0,0 +1,36 @@
+import { Expense, Income, Loan, Notification } from "../databaseSchema/database.model.js";
+import { removeAttachmentsOf } from "./attachments.js";
+
+// Days a deleted record stays in the trash before it is purged
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Models with soft deletion, by the record type used for attachments
+export const TRASH_MODELS = { income: Income, expense: Expense, loan: Loan };
+
+// When a record deleted at `deletedAt` is purged
+export const purgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Move the records matching `filter` to the trash
+export const trashRecords = (model, filter) =>
+  model.updateMany(filter, { $set: { deletedAt: new Date() } });
+
+// Permanently delete trashed records of one type, with their attachments and the
+// notifications still about them
+export const purgeRecords = async (type, ids) => {
+  await removeAttachmentsOf(type, ids);
+  await Notification.deleteMany({ relatedId: { $in: ids } });
+  const result = await TRASH_MODELS[type].deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+// Purge records that have been in the trash longer than the retention period
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const purged = {};
+  for (const [type, model] of Object.entries(TRASH_MODELS)) {
+    const ids = await model.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct("_id");
+    purged[type] = ids.length ? await purgeRecords(type, ids) : 0;
+  }
+  return purged;
+};
@@ -1,60 +1,132 @@
 import cron from "node-cron";
 import mongoose from "mongoose";
-import { Expense, Notification } from "./databaseSchema/database.model.js";
+import { Expense, Income, Notification } from "./databaseSchema/database.model.js";
+import { processScheduledDeletions } from "./Utils/accountDeletion.js";
+import { cleanupExpiredExports, failStaleExports } from "./Utils/dataExport.js";
+import { purgeExpiredTrash } from "./Utils/trash.js";
+import {
+  DEFAULT_PREFERENCES,
+  createPreferencesLoader,
+  formatMoney,
+  startOfUserDay,
+} from "./Utils/preferences.js";
 
-// Run daily at midnight
-cron.schedule("0 0 * * *", async () => {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    // Process recurring expenses
-    const recurringExpenses = await Expense.find({
-      isRecurring: true,
-      nextOccurrence: { $lte: tomorrow },
-      $or: [{ endDate: null }, { endDate: { $gte: today } }],
-    });
+// Scheduled jobs run at midnight in this zone; per-user dates use each user's own timezone
+export const CRON_TIMEZONE = process.env.CRON_TIMEZONE || DEFAULT_PREFERENCES.timezone;
 
-    for (const expense of recurringExpenses) {
-      // Send notification (1-day reminder)
-      const notificationDate = new Date(expense.nextOccurrence);
-      notificationDate.setDate(notificationDate.getDate() - 1);
-      if (notificationDate.toDateString() === today.toDateString()) {
-        await Notification.create({
-          userId: expense.userId,
-          type: "recurring_expense",
-          message: `Recurring expense via ${expense.paymentMethod} of Rs${expense.amount} due tomorrow`,
-          relatedId: expense._id, // Add relatedId
-        });
-      }
-
-      // Create new expense
-      const newExpense = new Expense({
-        userId: expense.userId,
-        categoryId: expense.categoryId,
-        paymentMethod: expense.paymentMethod,
-        amount: expense.amount,
-        date: expense.nextOccurrence,
-        notes: expense.notes,
-        isRecurring: true,
-        frequency: expense.frequency,
-        nextOccurrence: calculateNextOccurrence(expense.nextOccurrence, expense.frequency),
-        endDate: expense.endDate,
-      });
-      await newExpense.save();
+// Generate the due occurrences of recurring incomes or expenses. The recurring record
+// is the template: each generated occurrence is a plain transaction pointing back at it
+// through seriesId, only the template's nextOccurrence moves forward.
+const processRecurring = async (model, kind, loadPreferences) => {
+  const now = new Date();
+  // Every user's today and tomorrow fall within a day of the server's, the exact
+  // boundaries are checked per template in its user's timezone
+  const latest = new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000);
+  const earliest = new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000);
+
+  const templates = await model.find({
+    isRecurring: true,
+    nextOccurrence: { $lte: latest },
+    $or: [{ endDate: null }, { endDate: { $gte: earliest } }],
+  });
+
+  for (const template of templates) {
+    const preferences = await loadPreferences(template.userId);
+    const today = startOfUserDay(now, preferences);
+    const tomorrow = startOfUserDay(new Date(now.getTime() + 24 * 60 * 60 * 1000), preferences);
+
+    // Not due yet on the user's calendar, or the series ended before the user's today
+    if (template.nextOccurrence > tomorrow || (template.endDate && template.endDate < today)) {
+      continue;
+    }
+    // The series is over once the next occurrence falls after its end date
+    if (template.endDate && template.nextOccurrence > template.endDate) {
+      continue;
+    }
+
+    // Values changed for future occurrences only take precedence over the template's own
+    const values = template.seriesValues || template;
 
-      // Update original expense
-      expense.nextOccurrence = newExpense.nextOccurrence;
-      await expense.save();
+    // Send notification (1-day reminder), "tomorrow" is the user's local tomorrow
+    const dueDay = startOfUserDay(template.nextOccurrence, preferences);
+    if (dueDay.getTime() === tomorrow.getTime()) {
+      await Notification.create({
+        userId: template.userId,
+        type: `recurring_${kind}`,
+        message: `Recurring ${kind} via ${values.paymentMethod} of ${formatMoney(values.amount, preferences)} due tomorrow`,
+        relatedId: template._id,
+      });
     }
 
+    // Create the occurrence
+    await model.create({
+      userId: template.userId,
+      householdId: template.householdId,
+      categoryId: values.categoryId,
+      paymentMethod: values.paymentMethod,
+      amount: values.amount,
+      date: template.nextOccurrence,
+      notes: values.notes,
+      tags: values.tags,
+      splits: values.splits,
+      seriesId: template._id,
+    });
+
+    // Move the template on to the following occurrence
+    template.nextOccurrence = calculateNextOccurrence(template.nextOccurrence, template.frequency);
+    await template.save();
+  }
+};
+
+// Run daily at midnight
+cron.schedule("0 0 * * *", async () => {
+  const loadPreferences = createPreferencesLoader();
+
+  try {
+    await processRecurring(Expense, "expense", loadPreferences);
     console.log("Recurring expenses processed");
   } catch (error) {
     console.error("Recurring Expense Cron Error:", error);
   }
-});
+
+  try {
+    await processRecurring(Income, "income", loadPreferences);
+    console.log("Recurring incomes processed");
+  } catch (error) {
+    console.error("Recurring Income Cron Error:", error);
+  }
+}, { timezone: CRON_TIMEZONE });
+
+// Purge accounts whose deletion grace period has ended (daily at 1 AM)
+cron.schedule("0 1 * * *", async () => {
+  try {
+    const purged = await processScheduledDeletions();
+    console.log(`Scheduled account deletions processed: ${purged}`);
+  } catch (error) {
+    console.error("Account Deletion Cron Error:", error);
+  }
+}, { timezone: CRON_TIMEZONE });
+
+// Fail interrupted data exports and remove expired archives (daily at 2 AM)
+cron.schedule("0 2 * * *", async () => {
+  try {
+    const failed = await failStaleExports();
+    const removed = await cleanupExpiredExports();
+    console.log(`Stale data exports failed: ${failed}, expired data exports removed: ${removed}`);
+  } catch (error) {
+    console.error("Export Cleanup Cron Error:", error);
+  }
+}, { timezone: CRON_TIMEZONE });
+
+// Purge records kept in the trash past the retention period (daily at 3 AM)
+cron.schedule("0 3 * * *", async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+    console.log(`Expired trash purged: ${JSON.stringify(purged)}`);
+  } catch (error) {
+    console.error("Trash Purge Cron Error:", error);
+  }
+}, { timezone: CRON_TIMEZONE });
 
 // Helper function to calculate next occurrence
 function calculateNextOccurrence(date, frequency) {
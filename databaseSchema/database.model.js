@@ -1,5 +1,40 @@
 import mongoose from "mongoose";
 
+// Soft deletion for financial records: deleting one sets deletedAt, and queries and
+// aggregations leave such records out unless their filter mentions deletedAt or they
+// run with the withDeleted option. Utils/trash.js restores and purges them.
+const softDelete = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "findOneAndUpdate",
+      "findOneAndDelete",
+      "countDocuments",
+      "distinct",
+      "updateOne",
+      "updateMany",
+    ],
+    function () {
+      const { withDeleted } = this.getOptions();
+      delete this.options.withDeleted;
+      if (!withDeleted && this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null });
+      }
+    }
+  );
+
+  schema.pre("aggregate", function () {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+    if (!withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
 // User Model
 const userSchema = new mongoose.Schema(
   {
@@ -17,11 +52,114 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    verified: { type: Boolean, default: false }, // Email address confirmed
+    // Bumped whenever credentials change, access tokens carrying an older value are rejected
+    tokenVersion: { type: Number, default: 0 },
+    // Set when the user asks to delete the account, data is purged after this date
+    deletionScheduledAt: { type: Date, default: null },
+    // Display and period preferences, unset values fall back to the app defaults
+    preferences: {
+      currency: { type: String, uppercase: true, trim: true }, // ISO 4217, e.g. NPR
+      locale: { type: String, trim: true }, // BCP 47, e.g. en-NP
+      timezone: { type: String, trim: true }, // IANA, e.g. Asia/Kathmandu
+      weekStartDay: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+      dateFormat: {
+        type: String,
+        enum: ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY", "DD-MM-YYYY"],
+      },
+      defaultPaymentMethod: {
+        type: String,
+        enum: ["cash", "card", "bank", "mobile"],
+      },
+    },
+    // Optional TOTP two-factor authentication
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },
+      pendingSecret: { type: String, default: null }, // Awaiting confirmation with a first code
+      recoveryCodes: [{ type: String }], // Hashed, each removed once used
+      lastUsedStep: { type: Number, default: null }, // Stops a code being replayed
+    },
   },
   { timestamps: true }
 );
 export const User = mongoose.model("User", userSchema);
 
+// Session Model (one per signed-in device, holds the current refresh token hash)
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+    deviceName: { type: String, trim: true, maxlength: 255 },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const Session = mongoose.model("Session", sessionSchema);
+
+// Household Model (shared ledger, members act on its records according to their role)
+const householdSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 255 },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["owner", "editor", "viewer"],
+          required: true,
+        },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+householdSchema.index({ "members.userId": 1 });
+export const Household = mongoose.model("Household", householdSchema);
+
+// Household Invite Model (emailed, accepted by the invited address)
+const householdInviteSchema = new mongoose.Schema(
+  {
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      required: true,
+    },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    role: { type: String, enum: ["editor", "viewer"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+householdInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const HouseholdInvite = mongoose.model(
+  "HouseholdInvite",
+  householdInviteSchema
+);
+
 // Category Model
 const categorySchema = new mongoose.Schema(
   {
@@ -30,13 +168,63 @@ const categorySchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
     name: { type: String, required: true, trim: true },
     type: { type: String, enum: ["income", "expense"], required: true },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    }, // Set for subcategories, e.g. "Groceries" under "Food"
+    icon: { type: String, trim: true, default: null }, // Icon key understood by the apps
+    color: { type: String, trim: true, default: null }, // Hex colour, e.g. "#2E7D32"
+    sortOrder: { type: Number, default: 0 },
+    archived: { type: Boolean, default: false }, // Hidden from pickers, kept for history
   },
   { timestamps: true }
 );
 export const Category = mongoose.model("Category", categorySchema);
 
+// Category Rule Model (auto-categorisation of new transactions, lowest priority runs first)
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
+    name: { type: String, required: true, trim: true },
+    transactionType: { type: String, enum: ["income", "expense"], required: true },
+    priority: { type: Number, default: 0 },
+    enabled: { type: Boolean, default: true },
+    conditions: {
+      notesContains: { type: String, trim: true, default: null }, // Case-insensitive
+      notesRegex: { type: String, default: null }, // Case-insensitive
+      amountMin: { type: Number, default: null },
+      amountMax: { type: Number, default: null },
+      paymentMethods: [{ type: String, enum: ["cash", "card", "bank", "mobile"] }],
+    },
+    actions: {
+      categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+      addTags: [{ type: String, trim: true, lowercase: true }],
+      setNotes: { type: String, default: null },
+    },
+  },
+  { timestamps: true }
+);
+export const CategoryRule = mongoose.model("CategoryRule", categoryRuleSchema);
+
 // Income Model
 const incomeSchema = new mongoose.Schema(
   {
@@ -45,6 +233,11 @@ const incomeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -58,6 +251,7 @@ const incomeSchema = new mongoose.Schema(
     },
     date: { type: Date, required: true },
     notes: { type: String },
+    tags: [{ type: String, trim: true, lowercase: true }],
     isRecurring: { type: Boolean, default: false }, // New: Marks recurring transactions
     frequency: {
       type: String,
@@ -66,9 +260,29 @@ const incomeSchema = new mongoose.Schema(
     }, // New: Recurrence frequency
     nextOccurrence: { type: Date, default: null }, // New: Next date to create transaction
     endDate: { type: Date, default: null }, // New: When recurrence stops (optional)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Income",
+      default: null,
+      index: true,
+    }, // Set on occurrences generated from a recurring income, points at that income
+    seriesValues: {
+      type: new mongoose.Schema(
+        {
+          categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+          amount: { type: Number },
+          paymentMethod: { type: String, enum: ["cash", "card", "bank", "mobile"] },
+          notes: { type: String },
+          tags: [{ type: String }],
+        },
+        { _id: false }
+      ),
+      default: null,
+    }, // Values for future occurrences when they differ from the recurring income's own
   },
   { timestamps: true }
 );
+incomeSchema.plugin(softDelete);
 export const Income = mongoose.model("Income", incomeSchema);
 
 // Expense Model
@@ -79,6 +293,11 @@ const expenseSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -92,6 +311,7 @@ const expenseSchema = new mongoose.Schema(
     amount: { type: Number, required: true },
     date: { type: Date, required: true },
     notes: { type: String },
+    tags: [{ type: String, trim: true, lowercase: true }],
     isRecurring: { type: Boolean, default: false }, // New
     frequency: {
       type: String,
@@ -100,9 +320,28 @@ const expenseSchema = new mongoose.Schema(
     }, // New
     nextOccurrence: { type: Date, default: null }, // New
     endDate: { type: Date, default: null }, // New
+    splits: [
+      {
+        _id: false,
+        categoryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0 },
+        note: { type: String, trim: true },
+      },
+    ], // Lines of a split expense, their amounts add up to `amount`
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Expense",
+      default: null,
+      index: true,
+    }, // Set on occurrences generated from a recurring expense, points at that expense
   },
   { timestamps: true }
 );
+expenseSchema.plugin(softDelete);
 export const Expense = mongoose.model("Expense", expenseSchema);
 
 // Budget Model
@@ -113,6 +352,11 @@ const budgetSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -139,6 +383,11 @@ const loanSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
     title: { type: String, required: true, trim: true },
     lenderName: { type: String, required: true, trim: true },
     amount: { type: Number, required: true, min: 0 },
@@ -165,6 +414,7 @@ const loanSchema = new mongoose.Schema(
   },
   { timestamps: true }
 );
+loanSchema.plugin(softDelete);
 export const Loan = mongoose.model("Loan", loanSchema);
 
 // Notification Model
@@ -177,7 +427,13 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["budget_overrun", "loan_payment", "recurring_expense"],
+      enum: [
+        "budget_overrun",
+        "loan_payment",
+        "loan_payment_overdue",
+        "recurring_expense",
+        "recurring_income",
+      ],
       required: true,
     },
     message: { type: String, required: true },
@@ -237,12 +493,114 @@ export const RecurringTransaction = mongoose.model(
   recurringTransactionSchema
 );
 
+// Personal Access Token Model (long-lived, scoped credentials for scripts and integrations)
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    tokenHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true }, // First characters, to recognise the token in lists
+    scopes: [{ type: String }],
+    expiresAt: { type: Date, default: null }, // null = never expires
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+export const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
+
+// Attachment Model (receipts and documents on incomes, expenses and loans; the file
+// itself lives in the attachment storage under storageKey)
+const attachmentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Who uploaded it
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    }, // Set when the record belongs to a shared household
+    ownerType: { type: String, enum: ["income", "expense", "loan"], required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    fileName: { type: String, required: true, trim: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    checksum: { type: String, required: true }, // SHA-256 of the content
+    storageKey: { type: String, required: true },
+    image: {
+      type: { _id: false, width: Number, height: Number },
+      default: null,
+    }, // Dimensions of image uploads
+    thumbnail: {
+      type: { _id: false, width: Number, height: Number },
+      default: null,
+    }, // Size to show the image at in previews
+  },
+  { timestamps: true }
+);
+attachmentSchema.index({ ownerType: 1, ownerId: 1 });
+export const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+// Data Export Model (personal data archives, generated in the background for large accounts)
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "ready", "failed"],
+      default: "pending",
+    },
+    fileName: { type: String },
+    filePath: { type: String },
+    size: { type: Number },
+    error: { type: String },
+    completedAt: { type: Date },
+    expiresAt: { type: Date, required: true }, // Archive and record are removed after this
+  },
+  { timestamps: true }
+);
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+// Auth Attempt Schema (failed attempts per IP or account, for brute-force protection)
+const authAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // e.g. "account:login:user@example.com"
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+// Let MongoDB forget attempts once the tracking window has passed
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const AuthAttempt = mongoose.model("AuthAttempt", authAttemptSchema);
+
 // Password Reset Schema
+// Tokens are "<selector>.<verifier>": the selector is looked up by index,
+// only a hash of the verifier is stored
 const passwordResetTokenSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  token: { type: String, required: true },
+  selector: { type: String, required: true, unique: true },
+  verifierHash: { type: String, required: true },
   expiresAt: { type: Date, required: true },
 });
+// Let MongoDB drop tokens once they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 export const PasswordResetToken = mongoose.model(
   "PasswordResetToken",
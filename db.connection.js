@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { runMigrations } from "./Utils/migrations.js";
 
 import * as dotenv from "dotenv";
 dotenv.config();
@@ -7,6 +8,9 @@ const connectDB = async () => {
   try {
     await mongoose.connect(process.env.URI);
 
+    // One-off data fixes, a failure is logged and retried on the next start
+    await runMigrations().catch((error) => console.error("Migration Error:", error));
+
     mongoose.connection.once("open", async () => {
       await mongoose.connection.db
         .collection("incomes")
@@ -17,6 +21,12 @@ const connectDB = async () => {
       await mongoose.connection.db
         .collection("budgets")
         .createIndex({ userId: 1, startDate: 1, categoryId: 1 });
+      await mongoose.connection.db
+        .collection("incomes")
+        .createIndex({ householdId: 1, date: 1 });
+      await mongoose.connection.db
+        .collection("expenses")
+        .createIndex({ householdId: 1, date: 1 });
       await mongoose.connection.db
         .collection("notifications")
         .createIndex({ userId: 1, createdAt: -1 });
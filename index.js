@@ -12,12 +12,24 @@ import transactionsController from "./Controllers/transactions.controller.js";
 import budgetController from "./Controllers/budget.controller.js";
 import notificationsController from "./Controllers/notifications.controller.js";
 import dashboardController from "./Controllers/dashboard.controller.js";
+import householdController from "./Controllers/household.controller.js";
+import ruleController from "./Controllers/rule.controller.js";
+import { routeScope } from "./Middleware/scopes.js";
 
 dotenv.config();
 
 // backend app
 const app = express();
 
+// Trust X-Forwarded-For from a reverse proxy so per-IP limits see the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : isNaN(trustProxy) ? trustProxy : Number(trustProxy)
+  );
+}
+
 // Middleware
 app.use(cors({ origin: "http://localhost:19006" })); // Adjust for React Native
 app.use(express.json());
@@ -26,15 +38,18 @@ app.use(express.json());
 app.use(express.json());
 
 // register routes/controller
+// (routeScope declares what a personal access token needs for each group)
 app.use("/api/auth", userController);
-app.use("/api/loan", loanController);
-app.use("/api/income", incomeController);
-app.use("/api/expense", expenseController);
-app.use("/api/category", categoryController);
-app.use("/api/transactions", transactionsController);
-app.use("/api/budget", budgetController);
-app.use("/api/notifications", notificationsController);
-app.use("/api/dashboard", dashboardController);
+app.use("/api/loan", routeScope("loan"), loanController);
+app.use("/api/income", routeScope("income"), incomeController);
+app.use("/api/expense", routeScope("expense"), expenseController);
+app.use("/api/category", routeScope("category"), categoryController);
+app.use("/api/rules", routeScope("rules", { readPaths: ["/test"] }), ruleController);
+app.use("/api/transactions", routeScope("transactions"), transactionsController);
+app.use("/api/budget", routeScope("budget"), budgetController);
+app.use("/api/notifications", routeScope("notifications"), notificationsController);
+app.use("/api/dashboard", routeScope("dashboard"), dashboardController);
+app.use("/api/household", routeScope("household"), householdController);
 
 app.get("/health", (req, res) => {
   res.status(200).send("Server is healthy");